@@ -1,10 +1,40 @@
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 import dotenv from "dotenv";
 dotenv.config();
 
 export const JWT_SECRET = process.env.JWT_SECRET || "supersecret";
-const JWT_EXPIRES_IN = "7d";
+// short-lived; clients renew through /api/auth/refresh
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+export const REFRESH_TOKEN_TTL_DAYS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export const PASSWORD_MIN_LENGTH =
+  Number(process.env.PASSWORD_MIN_LENGTH) || 10;
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+const PASSWORD_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+/**
+ * Strength rules for a password being set (not for logging in):
+ * PASSWORD_MIN_LENGTH characters (default 10) up to 72 bytes, and three of
+ * lowercase, uppercase, digits and symbols.
+ * Returns an error message, or null.
+ */
+export function passwordError(pw) {
+  if (pw.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(pw) > PASSWORD_MAX_BYTES) {
+    return `Password must be at most ${PASSWORD_MAX_BYTES} bytes`;
+  }
+  const classes = PASSWORD_CLASSES.filter((re) => re.test(pw)).length;
+  if (classes < 3) {
+    return "Password needs three of: lowercase, uppercase, digits, symbols";
+  }
+  return null;
+}
 
 export async function hashPassword(pw) {
   return bcrypt.hash(pw, 10);
@@ -14,10 +44,40 @@ export async function comparePassword(pw, hash) {
   return bcrypt.compare(pw, hash);
 }
 
-export function generateToken(user) {
+export function generateToken(user, sessionId) {
   return jwt.sign(
-    { id: user._id, email: user.email, role: user.role },
+    { id: user._id, email: user.email, role: user.role, sid: sessionId },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRES_IN }
   );
 }
+
+// second login step (2FA): proves the password was right, nothing more
+const CHALLENGE_AUDIENCE = "login-2fa";
+export const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+export function generateChallengeToken(user) {
+  return jwt.sign({ id: user._id }, JWT_SECRET, {
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: CHALLENGE_TTL_SECONDS,
+  });
+}
+
+/** Editor id from a challenge token, or null if invalid / expired */
+export function verifyChallengeToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET, { audience: CHALLENGE_AUDIENCE }).id;
+  } catch {
+    return null;
+  }
+}
+
+/** Random url-safe secret (refresh tokens etc.) */
+export function generateSecret(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/** Tokens are stored as sha256, never in plain text */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
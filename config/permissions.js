@@ -0,0 +1,101 @@
+// backend/config/permissions.js
+
+/*
+ * Named capabilities. Routes ask for these (middleware/auth.js → authorize),
+ * never for a role name.
+ */
+export const CAPABILITIES = {
+  ARTICLE_CREATE: "article.create",
+  ARTICLE_EDIT_OWN: "article.edit_own",
+  // send own work to review / withdraw it
+  ARTICLE_SUBMIT: "article.submit",
+  ARTICLE_VIEW_ANY: "article.view_any",
+  ARTICLE_EDIT_ANY: "article.edit_any",
+  // approve / request changes
+  ARTICLE_REVIEW: "article.review",
+  // publish, schedule, unpublish, archive
+  ARTICLE_PUBLISH: "article.publish",
+  ARTICLE_DELETE: "article.delete",
+  // reader comment queue and banned words
+  COMMENTS_MODERATE: "comments.moderate",
+  // create, rename, merge and order sections
+  CATEGORIES_MANAGE: "categories.manage",
+  USERS_MANAGE: "users.manage",
+  AUDIT_VIEW: "audit.view",
+};
+
+const C = CAPABILITIES;
+
+const WRITER = [C.ARTICLE_CREATE, C.ARTICLE_EDIT_OWN, C.ARTICLE_SUBMIT];
+const DESK = [
+  ...WRITER,
+  C.ARTICLE_VIEW_ANY,
+  C.ARTICLE_EDIT_ANY,
+  C.ARTICLE_REVIEW,
+  C.COMMENTS_MODERATE,
+];
+
+/*
+ * Role → capabilities. section_editor holds its "any article" capabilities
+ * only for articles in the categories assigned to the account.
+ */
+export const ROLE_CAPABILITIES = {
+  contributor: WRITER,
+  editor: DESK,
+  section_editor: [...DESK, C.ARTICLE_PUBLISH],
+  chief_editor: [
+    ...DESK,
+    C.ARTICLE_PUBLISH,
+    C.ARTICLE_DELETE,
+    C.CATEGORIES_MANAGE,
+    C.AUDIT_VIEW,
+  ],
+  admin: Object.values(C),
+};
+
+export const ROLES = Object.keys(ROLE_CAPABILITIES);
+
+// roles whose article capabilities are limited to their categories
+export const SCOPED_ROLES = ["section_editor"];
+
+// capabilities that act on other people's articles (and so get scoped)
+const SCOPED_CAPABILITIES = [
+  C.ARTICLE_VIEW_ANY,
+  C.ARTICLE_EDIT_ANY,
+  C.ARTICLE_REVIEW,
+  C.ARTICLE_PUBLISH,
+  C.ARTICLE_DELETE,
+];
+
+// accounts created before roles existed were "user", who could only read
+// and edit their own articles: the same rights as "contributor"
+export const LEGACY_ROLE_MAP = { user: "contributor" };
+
+/**
+ * Does `user` ({ role, categories }) have `capability`?
+ * With an `article`, category scoping of section editors is applied too.
+ */
+export function can(user, capability, article) {
+  if (!user || !ROLE_CAPABILITIES[user.role]?.includes(capability)) {
+    return false;
+  }
+
+  if (
+    article &&
+    SCOPED_ROLES.includes(user.role) &&
+    SCOPED_CAPABILITIES.includes(capability)
+  ) {
+    const allowed = user.categories || [];
+    return (article.categories || []).some((c) => allowed.includes(c));
+  }
+
+  return true;
+}
+
+/**
+ * Extra article filter for list queries of scoped roles ({} otherwise).
+ */
+export function articleScopeFilter(user) {
+  if (!SCOPED_ROLES.includes(user.role)) return {};
+  return { categories: { $in: user.categories || [] } };
+}
@@ -0,0 +1,10 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// public site (the frontend, not this API) used in links, feeds and mails
+export const SITE_URL = (process.env.SITE_URL || "https://newsone.live").replace(
+  /\/+$/,
+  ""
+);
+export const SITE_NAME = process.env.SITE_NAME || "NewsOne";
+export const SITE_LANGUAGE = process.env.SITE_LANGUAGE || "en";
@@ -8,15 +8,40 @@ dotenv.config();
 
 // ESM imports for models + utils + routes
 import Editor from "./models/Editor.js";
-import { hashPassword } from "./config/auth.js";
+import Article from "./models/Article.js";
+import { hashPassword, comparePassword } from "./config/auth.js";
+import { LEGACY_ROLE_MAP } from "./config/permissions.js";
 import authRoutes from "./routes/authRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import editorRoutes from "./routes/editorRoutes.js";
 import publicRoutes from "./routes/publicRoutes.js";
+import feedRoutes from "./routes/feedRoutes.js";
+import mediaRoutes from "./routes/mediaRoutes.js";
+import readerCommentRoutes from "./routes/readerCommentRoutes.js";
+import { MEDIA_DIR } from "./utils/mediaStorage.js";
+import { startScheduler } from "./utils/scheduler.js";
+import { startViewFlusher } from "./utils/views.js";
+import { backfillSlugs } from "./utils/slugs.js";
+import { seedCategories } from "./utils/categories.js";
+import {
+  errorCodes,
+  errorHandler,
+  notFoundHandler,
+} from "./middleware/errors.js";
 
 
 const app = express();
 
+// behind a proxy / load balancer req.ip must come from X-Forwarded-For
+// (login throttling is keyed on it). TRUST_PROXY = hop count, "true" or a subnet
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trust) ? Number(trust) : trust === "true" ? true : trust
+  );
+}
+
 //cors-
 app.use(cors()); 
 
@@ -24,6 +49,9 @@ app.use(cors());
 app.use(bodyParser.json());
 // or simply: app.use(express.json());
 
+// one JSON shape for every error response, see utils/errors.js
+app.use(errorCodes);
+
 const PORT = process.env.PORT || 5000;
 const MONGODB_URL = process.env.MONGODB_URL;
 
@@ -50,6 +78,12 @@ async function connectToMongoDB() {
     isConnected = true;
     console.log("DB Connected Successfully! 🚀");
     await createInitialAdmin();
+    await migrateLegacyRoles();
+    await seedCategories();
+    await backfillSlugs(Article);
+    await backfillSlugs(Editor);
+    startScheduler();
+    startViewFlusher();
   } catch (error) {
     console.error("MongoDB error :", error);
   }
@@ -64,23 +98,29 @@ app.use(async (req, res, next) => {
 
 
 
+// seeded admin; the password has to be changed at the first login
+const INITIAL_ADMIN_EMAIL = "admin@newsone.live";
+const INITIAL_ADMIN_PASSWORD = "Admin@123";
+
 // Create exactly ONE admin if not exists
 async function createInitialAdmin() {
   try {
     const existingAdmin = await Editor.findOne({ role: "admin" });
     if (existingAdmin) {
       console.log("✔ Admin already exists:", existingAdmin.email);
+      await flagDefaultAdminPassword();
       return;
     }
 
-    const password = "Admin@123";
+    const password = INITIAL_ADMIN_PASSWORD;
     const hashed = await hashPassword(password);
 
     const admin = await Editor.create({
       name: "Super Admin",
-      email: "admin@newsone.live",
+      email: INITIAL_ADMIN_EMAIL,
       password: hashed,
       role: "admin",
+      mustChangePassword: true,
     });
 
     console.log("🔥 Admin created:");
@@ -91,6 +131,43 @@ async function createInitialAdmin() {
   }
 }
 
+// Databases seeded before mustChangePassword existed: if the seeded admin
+// still has the well-known password, force a change at the next login
+async function flagDefaultAdminPassword() {
+  const admin = await Editor.findOne({
+    email: INITIAL_ADMIN_EMAIL,
+    mustChangePassword: { $ne: true },
+  });
+  if (!admin) return;
+
+  if (await comparePassword(INITIAL_ADMIN_PASSWORD, admin.password)) {
+    admin.mustChangePassword = true;
+    await admin.save();
+    console.log(
+      "⚠ Seeded admin still has the default password, change required"
+    );
+  }
+}
+
+// Accounts from before the permission model get the equivalent new role
+async function migrateLegacyRoles() {
+  try {
+    for (const [legacy, role] of Object.entries(LEGACY_ROLE_MAP)) {
+      const { modifiedCount } = await Editor.updateMany(
+        { role: legacy },
+        { $set: { role } }
+      );
+      if (modifiedCount) {
+        console.log(
+          `✔ Migrated ${modifiedCount} "${legacy}" account(s) to "${role}"`
+        );
+      }
+    }
+  } catch (err) {
+    console.error("❌ Role migration failed:", err.message);
+  }
+}
+
 // Routes
 app.get("/", (req, res) => {
   res.send("API is running...");
@@ -98,8 +175,22 @@ app.get("/", (req, res) => {
 
 app.use("/api/auth", authRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/admin/reader-comments", readerCommentRoutes);
 app.use("/api/editor", editorRoutes); 
 app.use("/api/public", publicRoutes);
+app.use("/api/public", feedRoutes); // RSS / Atom / sitemaps
+app.use("/api/media", mediaRoutes);
+
+// local media uploads; file names are random, so they never change
+if ((process.env.MEDIA_STORAGE || "local") === "local") {
+  app.use(
+    "/uploads",
+    express.static(MEDIA_DIR, { maxAge: "365d", immutable: true })
+  );
+}
+
+app.use("/api", notFoundHandler);
+app.use(errorHandler);
 
 
 export default app;
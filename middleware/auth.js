@@ -1,21 +1,100 @@
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import { JWT_SECRET } from "../config/auth.js";
+import { can } from "../config/permissions.js";
+import Editor from "../models/Editor.js";
+import Session from "../models/Session.js";
+import { activeSessionFilter } from "../utils/sessions.js";
+import { twoFactorSetupRequired } from "../utils/twoFactor.js";
 
-export function authMiddleware(req, res, next) {
+// open to every signed-in account, whatever it still has to do first
+const ALWAYS_ALLOWED_ROUTES = ["/api/auth/logout"];
+// all an account with mustChangePassword may use
+const PASSWORD_CHANGE_ROUTES = [
+  ...ALWAYS_ALLOWED_ROUTES,
+  "/api/editor/change-password",
+];
+// all an account that has to enrol in 2FA may use. The password change
+// comes first when both are due, so it is open here too
+const TWO_FACTOR_SETUP_ROUTES = [
+  ...PASSWORD_CHANGE_ROUTES,
+  "/api/auth/2fa",
+  "/api/auth/2fa/setup",
+  "/api/auth/2fa/confirm",
+];
+
+export async function authMiddleware(req, res, next) {
   const header = req.headers.authorization;
   if (!header) return res.status(401).json({ message: "No token" });
 
   const token = header.split(" ")[1];
+  let payload;
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch {
-    res.status(401).json({ message: "Invalid token" });
+    return res.status(401).json({ message: "Invalid token" });
+  }
+
+  // tokens from before sessions existed carry no sid
+  if (!payload.sid || !mongoose.Types.ObjectId.isValid(payload.sid)) {
+    return res.status(401).json({ message: "Session expired" });
+  }
+
+  try {
+    const [user, session] = await Promise.all([
+      Editor.findById(payload.id).select(
+        "email role categories status mustChangePassword twoFactor.enabled"
+      ),
+      Session.exists(activeSessionFilter({ _id: payload.sid, user: payload.id })),
+    ]);
+
+    if (!user) return res.status(401).json({ message: "User no longer exists" });
+    if (!session) return res.status(401).json({ message: "Session expired" });
+    if (user.status === "suspended") {
+      return res
+        .status(403)
+        .json({ message: "Account suspended", code: "account_suspended" });
+    }
+    const route = req.baseUrl + req.path;
+    if (user.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(route)) {
+      return res.status(403).json({
+        message: "Change your password to continue",
+        code: "password_change_required",
+      });
+    }
+    if (
+      !TWO_FACTOR_SETUP_ROUTES.includes(route) &&
+      (await twoFactorSetupRequired(user))
+    ) {
+      return res.status(403).json({
+        message: "Set up two-factor authentication to continue",
+        code: "two_factor_setup_required",
+      });
+    }
+
+    // role/email from the DB, so changes apply without a new token
+    req.user = {
+      id: String(user._id),
+      email: user.email,
+      role: user.role,
+      categories: user.categories || [],
+      sid: payload.sid,
+    };
+    next();
+  } catch (err) {
+    next(err);
   }
 }
 
-export function adminOnly(req, res, next) {
-  if (req.user.role !== "admin")
-    return res.status(403).json({ message: "Admin only" });
-  next();
+/**
+ * Require at least one of the given capabilities (config/permissions.js).
+ * Use after authMiddleware. Per-article scope is checked in the route.
+ */
+export function authorize(...capabilities) {
+  return (req, res, next) => {
+    if (!capabilities.some((capability) => can(req.user, capability))) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+    next();
+  };
 }
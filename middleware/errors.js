@@ -0,0 +1,45 @@
+import { codeForStatus, toErrorResponse } from "../utils/errors.js";
+
+/**
+ * Give error responses written directly by handlers
+ * (res.status(404).json({ message })) the default code for their status,
+ * so every error has the same shape.
+ */
+export function errorCodes(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (
+      res.statusCode >= 400 &&
+      body &&
+      typeof body === "object" &&
+      !Array.isArray(body) &&
+      body.message &&
+      !body.code
+    ) {
+      body = { ...body, code: codeForStatus(res.statusCode) };
+    }
+    return json(body);
+  };
+  next();
+}
+
+/** Unknown /api routes */
+export function notFoundHandler(req, res) {
+  res.status(404).json({ message: "Route not found", code: "not_found" });
+}
+
+/**
+ * Central error handler: handlers pass errors on with next(err)
+ * (or throw, Express 5 forwards rejected promises).
+ */
+export function errorHandler(err, req, res, next) {
+  const { status, body } = toErrorResponse(err);
+
+  if (status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} error:`, err);
+  }
+  // too late for a JSON body, let Express close the connection
+  if (res.headersSent) return next(err);
+
+  res.status(status).json(body);
+}
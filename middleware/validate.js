@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+import { z } from "zod";
+import { HttpError } from "../utils/errors.js";
+import { passwordError } from "../config/auth.js";
+
+/**
+ * Validate and coerce req.params / req.query / req.body with zod schemas:
+ *   router.get("/x/:id", validate({ params: idParams, query: listQuery }), …)
+ * Handlers then see the parsed values (numbers, dates, defaults applied,
+ * unknown body fields dropped). Failures answer 400 "validation_failed"
+ * with one detail per field.
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    const parsed = {};
+
+    for (const location of ["params", "query", "body"]) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      const result = schema.safeParse(req[location] ?? {});
+      if (result.success) {
+        parsed[location] = result.data;
+      } else {
+        for (const issue of result.error.issues) {
+          details.push({
+            location,
+            field: issue.path.join("."),
+            message: issue.message,
+          });
+        }
+      }
+    }
+
+    if (details.length) {
+      return next(
+        new HttpError(400, "validation_failed", "Validation failed", details)
+      );
+    }
+
+    if (parsed.params) req.params = parsed.params;
+    if (parsed.body) req.body = parsed.body;
+    // req.query is a getter in Express 5, shadow it on this request
+    if (parsed.query) {
+      Object.defineProperty(req, "query", {
+        value: parsed.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    next();
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Building blocks                                                    */
+/* ------------------------------------------------------------------ */
+
+export const objectId = z
+  .string()
+  .refine((value) => mongoose.Types.ObjectId.isValid(value), "Invalid id");
+
+export const idParams = z.object({ id: objectId });
+
+/** ?limit= : positive integer, def when missing, capped at max */
+export const limit = ({ def = 20, max = 100 } = {}) =>
+  z.coerce
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .transform((n) => Math.min(n ?? def, max));
+
+export const page = z.coerce.number().int().min(1).default(1);
+
+export const cursor = z.string().min(1).optional();
+
+/** Date from a query string or JSON value ("2026-10-01", ISO string) */
+export const date = z.coerce.date();
+
+/** like date, but null / "" clear the value (scheduledAt, expiresAt) */
+export const nullableDate = z.union([
+  z.literal("").transform(() => null),
+  z.null(),
+  date,
+]);
+
+/** "true" / "false" in a query string */
+export const queryBoolean = z
+  .enum(["true", "false"])
+  .transform((value) => value === "true");
+
+/** list given as an array or a comma separated string */
+export const stringList = z
+  .union([z.array(z.string()), z.string()])
+  .transform((value) =>
+    (Array.isArray(value) ? value : value.split(","))
+      .map((item) => item.trim())
+      .filter(Boolean)
+  );
+
+/** non-empty trimmed string */
+export const text = z.string().trim().min(1, "Required");
+
+export const email = z.string().trim().toLowerCase().email();
+
+/** passwords are taken as typed, no trimming */
+export const password = z.string().min(1, "Required");
+
+/** a password being set: strength rules from config/auth.js */
+export const newPassword = z.string().superRefine((value, ctx) => {
+  const error = passwordError(value);
+  if (error) ctx.addIssue({ code: z.ZodIssueCode.custom, message: error });
+});
+
+/** absolute http(s) URL */
+export const httpUrl = z
+  .string()
+  .trim()
+  .url()
+  .refine((value) => /^https?:\/\//i.test(value), "Must be an http(s) URL");
+
+/** public author profile fields (utils/authors.js) */
+export const authorProfile = z.object({
+  bio: z.string().trim().max(2000).optional(),
+  // a media library id, or null / "" to remove it
+  avatar: z.union([objectId, z.literal(""), z.null()]).optional(),
+  links: z
+    .array(z.object({ label: text, url: httpUrl }))
+    .max(10)
+    .optional(),
+});
+
+export { z };
@@ -1,34 +1,52 @@
 // backend/models/Article.js
 import mongoose from "mongoose";
+import { slugify, uniqueSlug } from "../utils/slugs.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
-const CATEGORIES = [
-  "latest",
-  "business",
-  "sports",
-  "entertainment",
-  "political",
-  "international",
-  "tech",
-  "automobile",
-  "law",
-  "other",
+// allowed moves between these live in utils/workflow.js
+// "scheduled" goes live at scheduledAt, "archived" is set once expiresAt passes
+const ARTICLE_STATUSES = [
+  "draft",
+  "in_review",
+  "changes_requested",
+  "approved",
+  "scheduled",
+  "published",
+  "archived",
 ];
 
 const articleSchema = new mongoose.Schema(
   {
     title: { type: String, required: true, trim: true },
+
+    // generated from the title, see the pre("validate") hook below
+    slug: { type: String, unique: true, sparse: true },
+
+    // slugs this article had before a title change (old links redirect)
+    previousSlugs: { type: [String], index: true },
     summary: { type: String, trim: true },
     content: { type: String, required: true },
 
+    // Category slugs (models/Category.js), checked in utils/categories.js
     categories: [
       {
         type: String,
-        enum: CATEGORIES,
-        lowercase: true,  // 🔥 Fix category enum mismatch
+        lowercase: true,
         trim: true,
       },
     ],
 
+    // free-form, normalized by utils/tags.js
+    tags: { type: [String], index: true },
+
+    // lead image from the media library
+    image: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+      index: true,
+    },
+
+    // legacy: pasted image URL, only used when there is no image
     imageUrl: {
       type: String,
       trim: true,
@@ -41,7 +59,7 @@ const articleSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["draft", "in_review", "published"],
+      enum: ARTICLE_STATUSES,
       default: "draft",
     },
 
@@ -51,12 +69,117 @@ const articleSchema = new mongoose.Schema(
       required: true,
     },
 
+    // bylined next to `author`, who still owns the article (edit rights,
+    // dashboards); see utils/authors.js
+    coAuthors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Editor" }],
+      index: true,
+    },
+
+    // credited under the byline ("Additional reporting", "Photos"): a
+    // staff member (editor) or an outside name
+    contributors: [
+      {
+        _id: false,
+        editor: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+        name: { type: String, trim: true },
+        role: { type: String, trim: true, required: true },
+      },
+    ],
+
     publishedAt: {
       type: Date,
     },
+
+    // last time the article was sent to review
+    submittedAt: {
+      type: Date,
+    },
+
+    // last review decision (reason is required for changes_requested)
+    review: {
+      decision: { type: String, enum: ["approved", "changes_requested"] },
+      reason: { type: String, trim: true },
+      reviewer: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+      reviewedAt: { type: Date },
+    },
+
+    // when a "scheduled" article should go live
+    scheduledAt: {
+      type: Date,
+    },
+
+    // optional: when a published article should be taken down again
+    expiresAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
+// deletedAt / deletedBy; trashed articles are left out of every query
+articleSchema.plugin(softDeletePlugin);
+
+// the scheduler scans these on every tick
+articleSchema.index({ status: 1, scheduledAt: 1 });
+articleSchema.index({ status: 1, expiresAt: 1 });
+
+// public full-text search, title matches count the most
+articleSchema.index(
+  { title: "text", summary: "text", content: "text" },
+  {
+    name: "article_text",
+    weights: { title: 10, summary: 4, content: 1 },
+  }
+);
+
+// the title as loaded, to tell a real retitle from a cosmetic one
+articleSchema.post("init", function () {
+  this.$locals.loadedTitle = this.title;
+});
+
+// keep the slug in sync with the title
+articleSchema.pre("validate", async function () {
+  if (this.slug && !this.isModified("title")) return;
+
+  const base = slugify(this.title);
+  // the title still gives the same slug (e.g. only the case changed): keep
+  // the current one, including a -2 suffix uniqueSlug() added. Digits at
+  // the end of the title itself are not such a suffix ("Budget 2025")
+  const loadedTitle = this.$locals.loadedTitle;
+  if (
+    this.slug &&
+    (this.slug === base ||
+      (loadedTitle !== undefined && slugify(loadedTitle) === base))
+  ) {
+    return;
+  }
+
+  const next = await uniqueSlug(this.constructor, base, this._id);
+
+  // only remember slugs that may have been shared publicly
+  if (this.slug && this.publishedAt) {
+    this.previousSlugs.addToSet(this.slug);
+  }
+  this.previousSlugs.pull(next);
+  this.slug = next;
+});
+
+/**
+ * Filter for articles that readers are allowed to see right now.
+ * Checks the dates too, so nothing leaks between scheduler ticks.
+ */
+articleSchema.statics.publicFilter = function (now = new Date()) {
+  return {
+    status: "published",
+    $and: [
+      // null also matches a missing field
+      { $or: [{ publishedAt: null }, { publishedAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+    ],
+  };
+};
+
 const Article = mongoose.model("Article", articleSchema);
+export { ARTICLE_STATUSES };
 export default Article;
@@ -0,0 +1,58 @@
+// backend/models/ArticleRevision.js
+import mongoose from "mongoose";
+
+// article fields copied into every revision
+const REVISION_FIELDS = [
+  "title",
+  "summary",
+  "content",
+  "categories",
+  "tags",
+  "image",
+  "imageUrl",
+  "source",
+];
+
+const articleRevisionSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+
+    // 1, 2, 3 ... per article
+    number: { type: Number, required: true },
+
+    title: { type: String },
+    summary: { type: String },
+    content: { type: String },
+    categories: [{ type: String }],
+    tags: [{ type: String }],
+    image: { type: mongoose.Schema.Types.ObjectId, ref: "Media" },
+    imageUrl: { type: String },
+    source: { type: String },
+
+    // article status right after this save
+    status: { type: String },
+
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Editor",
+    },
+
+    // e.g. "Restored from revision 3"
+    note: { type: String, trim: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+articleRevisionSchema.index({ article: 1, number: -1 }, { unique: true });
+
+const ArticleRevision = mongoose.model(
+  "ArticleRevision",
+  articleRevisionSchema
+);
+
+export { REVISION_FIELDS };
+export default ArticleRevision;
@@ -0,0 +1,35 @@
+// backend/models/ArticleViewBucket.js
+import mongoose from "mongoose";
+
+// view counts per article and hour / day, written by utils/views.js
+const articleViewBucketSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+    unit: { type: String, enum: ["hour", "day"], required: true },
+    // start of the hour / day (UTC)
+    start: { type: Date, required: true },
+    views: { type: Number, default: 0 },
+
+    // removed by the TTL index below: hours after weeks, days after a year
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+articleViewBucketSchema.index(
+  { article: 1, unit: 1, start: 1 },
+  { unique: true }
+);
+// trending / most-read scan one unit over a time window
+articleViewBucketSchema.index({ unit: 1, start: 1 });
+articleViewBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ArticleViewBucket = mongoose.model(
+  "ArticleViewBucket",
+  articleViewBucketSchema
+);
+export default ArticleViewBucket;
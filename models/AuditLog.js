@@ -0,0 +1,46 @@
+// backend/models/AuditLog.js
+import mongoose from "mongoose";
+
+// append-only record of who did what (see utils/audit.js)
+const auditLogSchema = new mongoose.Schema(
+  {
+    // e.g. "auth.login", "editor.update", "article.status"
+    action: { type: String, required: true },
+
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+    // copied, so entries stay readable after the actor is deleted
+    actorEmail: { type: String },
+
+    targetType: {
+      type: String,
+      enum: [
+        "editor",
+        "article",
+        "media",
+        "category",
+        "comment",
+        "invitation",
+        null,
+      ],
+    },
+    targetId: { type: mongoose.Schema.Types.ObjectId },
+    targetLabel: { type: String },
+
+    // small summaries of the changed fields, not full documents
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+    meta: { type: mongoose.Schema.Types.Mixed },
+
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
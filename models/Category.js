@@ -0,0 +1,40 @@
+// backend/models/Category.js
+import mongoose from "mongoose";
+
+// sections the site started with, seeded once into an empty collection
+const DEFAULT_CATEGORIES = [
+  "latest",
+  "business",
+  "sports",
+  "entertainment",
+  "political",
+  "international",
+  "tech",
+  "automobile",
+  "law",
+  "other",
+];
+
+// managed through /api/admin/categories (see utils/categories.js)
+const categorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+
+    // what articles store in `categories` and URLs use
+    slug: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, trim: true, default: "" },
+
+    // navigation order, lowest first
+    order: { type: Number, default: 0 },
+
+    // inactive: hidden publicly and not assignable, existing articles keep it
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+categorySchema.index({ active: 1, order: 1 });
+
+const Category = mongoose.model("Category", categorySchema);
+export { DEFAULT_CATEGORIES };
+export default Category;
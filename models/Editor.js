@@ -1,18 +1,91 @@
 import mongoose from "mongoose";
+import { ROLES } from "../config/permissions.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { slugify, uniqueSlug } from "../utils/slugs.js";
+
+// suspended accounts can't log in, their tokens stop working
+const ACCOUNT_STATUSES = ["active", "suspended"];
 
 const editorSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, unique: true, trim: true },
     password: { type: String, required: true },
+    // capabilities per role live in config/permissions.js
     role: {
       type: String,
-      enum: ["admin", "user"],
-      default: "user",
+      enum: ROLES,
+      // least rights: own articles only
+      default: "contributor",
+    },
+
+    // section_editor only: category slugs the role applies to
+    categories: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ACCOUNT_STATUSES,
+      default: "active",
+    },
+    suspension: {
+      reason: { type: String, trim: true },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+      at: { type: Date },
+    },
+
+    // set for the seeded admin and after an admin reset: every route but
+    // PUT /api/editor/change-password answers 403 until it is cleared
+    mustChangePassword: { type: Boolean, default: false },
+
+    // public author profile (utils/authors.js): readers see these and the
+    // name, nothing else of the account. The slug is made from the name
+    // once and kept, so profile links don't break on a rename
+    slug: { type: String, unique: true, sparse: true },
+    bio: { type: String, trim: true },
+    avatar: { type: mongoose.Schema.Types.ObjectId, ref: "Media" },
+    links: [
+      {
+        _id: false,
+        label: { type: String, trim: true, required: true },
+        url: { type: String, trim: true, required: true },
+      },
+    ],
+
+    // TOTP second factor, see utils/twoFactor.js. Secrets (encrypted) and
+    // recovery code hashes are only loaded when asked for
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      // set by setup, becomes `secret` once a first code confirms it
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false, default: undefined },
+      // last accepted time step: a code works only once
+      lastUsedStep: { type: Number, select: false },
     },
   },
   { timestamps: true }
 );
 
+// deleted accounts stay (restorable) until purged, but can't log in and
+// are left out of every query; the email stays taken meanwhile
+editorSchema.plugin(softDeletePlugin);
+
+editorSchema.pre("validate", async function () {
+  if (this.slug) return;
+  this.slug = await uniqueSlug(
+    this.constructor,
+    slugify(this.name, "author"),
+    this._id
+  );
+});
+
 const Editor = mongoose.model("Editor", editorSchema);
+export { ACCOUNT_STATUSES };
 export default Editor;
@@ -0,0 +1,49 @@
+// backend/models/Invitation.js
+import mongoose from "mongoose";
+import { ROLES } from "../config/permissions.js";
+
+// pending → accepted (an Editor was created) or revoked by an admin;
+// a pending invitation past expiresAt can still be resent
+const INVITATION_STATUSES = ["pending", "accepted", "revoked"];
+
+// invite to create an editor account; only the token's hash is stored
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+
+    // given to the account on acceptance
+    role: { type: String, enum: ROLES, default: "contributor" },
+    categories: [{ type: String, lowercase: true, trim: true }],
+
+    status: {
+      type: String,
+      enum: INVITATION_STATUSES,
+      default: "pending",
+    },
+
+    // replaced on every resend, so older links stop working
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    sentCount: { type: Number, default: 0 },
+    lastSentAt: { type: Date },
+
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+    acceptedAt: { type: Date },
+    editor: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.index({ status: 1, createdAt: -1 });
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+export { INVITATION_STATUSES };
+export default Invitation;
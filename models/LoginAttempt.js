@@ -0,0 +1,21 @@
+// backend/models/LoginAttempt.js
+import mongoose from "mongoose";
+
+// failed-login counter for one account or IP (Mongo login throttle store),
+// also used for other rate limits (hitRateLimit)
+const loginAttemptSchema = new mongoose.Schema({
+  // "account:<email>", "ip:<address>", "comment:ip:<address>" ...
+  key: { type: String, required: true, unique: true },
+
+  failures: { type: Number, default: 0 },
+  blockedUntil: { type: Date, default: null },
+  lastFailureAt: { type: Date },
+
+  // Mongo removes the document once this passes (TTL index)
+  expiresAt: { type: Date, required: true },
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+export default LoginAttempt;
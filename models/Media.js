@@ -0,0 +1,40 @@
+// backend/models/Media.js
+import mongoose from "mongoose";
+
+// one uploaded file in the media library (see utils/media.js)
+const mediaSchema = new mongoose.Schema(
+  {
+    // where the storage driver keeps the file, e.g. "2026/10/3f9c….jpg"
+    storageKey: { type: String, required: true, unique: true },
+    driver: { type: String, required: true },
+    url: { type: String, required: true },
+
+    originalName: { type: String, trim: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+
+    alt: { type: String, trim: true, default: "" },
+    caption: { type: String, trim: true, default: "" },
+    // photographer / agency
+    credit: { type: String, trim: true, default: "" },
+
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Editor",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+mediaSchema.index({ createdAt: -1, _id: -1 });
+mediaSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+// library search box
+mediaSchema.index(
+  { originalName: "text", alt: "text", caption: "text", credit: "text" },
+  { name: "media_text" }
+);
+
+const Media = mongoose.model("Media", mediaSchema);
+export default Media;
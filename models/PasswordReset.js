@@ -0,0 +1,33 @@
+// backend/models/PasswordReset.js
+import mongoose from "mongoose";
+
+// single-use password reset link; only the token's hash is stored
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Editor",
+      required: true,
+      index: true,
+    },
+
+    tokenHash: { type: String, required: true, unique: true },
+
+    // who asked for it: the user themself or an admin
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Editor",
+    },
+
+    // Mongo removes the document once this passes (TTL index)
+    expiresAt: { type: Date, required: true },
+
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordReset = mongoose.model("PasswordReset", passwordResetSchema);
+export default PasswordReset;
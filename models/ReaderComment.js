@@ -0,0 +1,77 @@
+// backend/models/ReaderComment.js
+import mongoose from "mongoose";
+
+// public shows only "approved"; see utils/readerComments.js
+const READER_COMMENT_STATUSES = ["pending", "approved", "rejected", "spam"];
+
+// anyone can post these, so keep them bounded
+const MAX_COMMENT_NAME_LENGTH = 80;
+const MAX_COMMENT_EMAIL_LENGTH = 254;
+const MAX_COMMENT_BODY_LENGTH = 5000;
+
+// reader comment on a published article
+const readerCommentSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+
+    // reply to another comment on the same article (null = top level)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReaderComment",
+      default: null,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_COMMENT_NAME_LENGTH,
+    },
+    // never shown publicly
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: MAX_COMMENT_EMAIL_LENGTH,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_COMMENT_BODY_LENGTH,
+    },
+
+    status: {
+      type: String,
+      enum: READER_COMMENT_STATUSES,
+      default: "pending",
+    },
+    // banned words that sent it to spam
+    flaggedWords: { type: [String], default: undefined },
+
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+    moderatedAt: { type: Date },
+
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+readerCommentSchema.index({ article: 1, status: 1, createdAt: 1 });
+// moderation queue
+readerCommentSchema.index({ status: 1, createdAt: -1, _id: -1 });
+
+const ReaderComment = mongoose.model("ReaderComment", readerCommentSchema);
+export {
+  READER_COMMENT_STATUSES,
+  MAX_COMMENT_NAME_LENGTH,
+  MAX_COMMENT_EMAIL_LENGTH,
+  MAX_COMMENT_BODY_LENGTH,
+};
+export default ReaderComment;
@@ -0,0 +1,34 @@
+// backend/models/ReviewComment.js
+import mongoose from "mongoose";
+
+// reviewer <-> author discussion on an article under review
+const reviewCommentSchema = new mongoose.Schema(
+  {
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true,
+    },
+
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Editor",
+      required: true,
+    },
+
+    body: { type: String, required: true, trim: true },
+
+    // reply to another comment on the same article (null = top level)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReviewComment",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+reviewCommentSchema.index({ article: 1, createdAt: 1 });
+
+const ReviewComment = mongoose.model("ReviewComment", reviewCommentSchema);
+export default ReviewComment;
@@ -0,0 +1,34 @@
+// backend/models/Session.js
+import mongoose from "mongoose";
+
+// one logged-in device; holds the (hashed) current refresh token
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Editor",
+      required: true,
+      index: true,
+    },
+
+    // sha256 of the refresh token secret, rotated on every refresh
+    tokenHash: { type: String, required: true },
+
+    userAgent: { type: String, trim: true },
+    ip: { type: String, trim: true },
+
+    lastUsedAt: { type: Date, default: Date.now },
+
+    // Mongo removes the document once this passes (TTL index)
+    expiresAt: { type: Date, required: true },
+
+    // set on logout / revoke; access tokens of this session stop working
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
@@ -0,0 +1,29 @@
+// backend/models/Setting.js
+import mongoose from "mongoose";
+
+// small runtime settings edited by admins, e.g. "comments.bannedWords"
+const settingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+  },
+  { timestamps: true }
+);
+
+/** Value of `key`, or `fallback` when it was never set */
+settingSchema.statics.getValue = async function (key, fallback) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : fallback;
+};
+
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true }
+  );
+};
+
+const Setting = mongoose.model("Setting", settingSchema);
+export default Setting;
@@ -1,29 +1,224 @@
 // backend/routes/adminRoutes.js
-import mongoose from "mongoose";
 import express from "express";
-import Editor from "../models/Editor.js";
-import Article from "../models/Article.js";
-import { authMiddleware } from "../middleware/auth.js";
-import { hashPassword } from "../config/auth.js";
+import crypto from "crypto";
+import Editor, { ACCOUNT_STATUSES } from "../models/Editor.js";
+import Article, { ARTICLE_STATUSES } from "../models/Article.js";
+import Category from "../models/Category.js";
+import Invitation, { INVITATION_STATUSES } from "../models/Invitation.js";
+import { authMiddleware, authorize } from "../middleware/auth.js";
+import {
+  validate,
+  z,
+  objectId,
+  idParams,
+  limit,
+  page,
+  cursor,
+  date,
+  nullableDate,
+  stringList,
+  text,
+  email,
+  newPassword,
+  authorProfile,
+} from "../middleware/validate.js";
+import {
+  hashPassword,
+  generateSecret,
+  passwordError,
+} from "../config/auth.js";
+import {
+  CAPABILITIES,
+  ROLES,
+  ROLE_CAPABILITIES,
+  SCOPED_ROLES,
+  can,
+  articleScopeFilter,
+} from "../config/permissions.js";
+import ArticleRevision from "../models/ArticleRevision.js";
+import { applyPublishing, STATUS_FIELDS } from "../utils/publishing.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import { sendPasswordReset } from "../utils/passwordReset.js";
+import { sendInvitation } from "../utils/invitations.js";
+import {
+  applyAuthorProfile,
+  publicProfileChanged,
+} from "../utils/authors.js";
+import {
+  disableTwoFactor,
+  twoFactorRequiredRoles,
+  setTwoFactorRequiredRoles,
+} from "../utils/twoFactor.js";
+import AuditLog from "../models/AuditLog.js";
+import { recordAudit, summarize } from "../utils/audit.js";
+import { toCsv, sendCsv } from "../utils/csv.js";
+import {
+  ANALYTICS_INTERVALS,
+  ANALYTICS_GROUPS,
+  analyticsRange,
+  publishedSeries,
+  publishTimes,
+  editorOutput,
+  publishedSeriesCsvRows,
+  publishTimesCsvRows,
+  editorOutputCsvRows,
+  PUBLISHED_SERIES_CSV_COLUMNS,
+  PUBLISH_TIMES_CSV_COLUMNS,
+  editorOutputCsvColumns,
+} from "../utils/analytics.js";
+import {
+  moveCategory,
+  categoryCounts,
+  resolveCategories,
+} from "../utils/categories.js";
+import { slugify } from "../utils/slugs.js";
+import { PUBLIC_MEDIA_FIELDS } from "../utils/media.js";
+import {
+  trackPublicChange,
+  invalidatePublic,
+  LIST_TAG,
+} from "../utils/publicCache.js";
+import {
+  getAccountLockout,
+  clearAccountLockout,
+} from "../utils/loginThrottle.js";
+import { dateKeysetFilter, dateKeysetPage } from "../utils/pagination.js";
+import { listCommentThread, addComment } from "../utils/reviewComments.js";
+import { populateWithDeleted } from "../utils/softDelete.js";
+import {
+  TRASH_RETENTION_DAYS,
+  IN_TRASH,
+  trashPage,
+  purgeDate,
+  trashArticle,
+  restoreArticle,
+  purgeArticle,
+  trashEditor,
+  restoreEditor,
+  purgeEditor,
+} from "../utils/trash.js";
+import {
+  BULK_ARTICLE_ACTIONS,
+  MAX_BULK_ARTICLES,
+  selectArticles,
+  runBulkAction,
+} from "../utils/bulkArticles.js";
+import {
+  saveWithRevision,
+  diffRevisions,
+  restoreRevision,
+} from "../utils/revisions.js";
 
 const router = express.Router();
 
-/** Small guard to ensure the logged-in user is admin */
-function requireAdmin(req, res, next) {
-  if (!req.user || req.user.role !== "admin") {
-    return res.status(403).json({ message: "Admin access only" });
+const {
+  ARTICLE_VIEW_ANY,
+  ARTICLE_EDIT_ANY,
+  ARTICLE_REVIEW,
+  ARTICLE_PUBLISH,
+  ARTICLE_DELETE,
+  CATEGORIES_MANAGE,
+  USERS_MANAGE,
+  AUDIT_VIEW,
+} = CAPABILITIES;
+
+const CATEGORY_FIELDS = ["name", "slug", "description", "order", "active"];
+
+const editorBody = z.object({
+  name: text,
+  email,
+  password: newPassword,
+  role: z.enum(ROLES).optional(),
+  categories: stringList.optional(),
+});
+
+const roleBody = z.object({
+  role: z.enum(ROLES),
+  categories: stringList.optional(),
+});
+
+const commentBody = z.object({ body: text, parentId: objectId.optional() });
+
+const revisionParams = z.object({
+  id: objectId,
+  number: z.coerce.number().int().min(1),
+});
+
+const categoryBody = z.object({
+  name: text,
+  slug: z.string().optional(),
+  description: z.string().optional(),
+  order: z.number().int().optional(),
+  active: z.boolean().optional(),
+});
+
+/**
+ * Article :id if `capability` covers it (section editors: only their
+ * categories), else null → 404.
+ */
+async function findScopedArticle(req, capability) {
+  const article = await Article.findById(req.params.id);
+  return article && can(req.user, capability, article) ? article : null;
+}
+
+/**
+ * Check a role assignment. Scoped roles need at least one valid category.
+ * Returns { error } or { role, categories } (categories only kept when scoped).
+ */
+async function parseRoleAssignment(role, categories) {
+  if (!ROLES.includes(role)) {
+    return { error: `Role must be one of: ${ROLES.join(", ")}` };
+  }
+  if (!SCOPED_ROLES.includes(role)) return { role, categories: [] };
+
+  const list = [].concat(categories || []).map((c) => String(c).toLowerCase());
+  if (!list.length) {
+    return { error: `Role ${role} needs at least one category` };
+  }
+  const known = await Category.find({ slug: { $in: list } }).distinct("slug");
+  const unknown = list.filter((c) => !known.includes(c));
+  if (unknown.length) {
+    return { error: `Unknown categories: ${unknown.join(", ")}` };
   }
-  next();
+  return { role, categories: [...new Set(list)] };
+}
+
+// never leave the newsroom without anyone able to manage users
+// (suspended admins don't count)
+async function isLastAdmin(editor) {
+  if (editor.role !== "admin" || editor.status === "suspended") return false;
+  const admins = await Editor.countDocuments({
+    role: "admin",
+    status: { $ne: "suspended" },
+  });
+  return admins <= 1;
+}
+
+function editorJson(editor) {
+  return {
+    id: editor._id,
+    name: editor.name,
+    email: editor.email,
+    role: editor.role,
+    categories: editor.categories,
+    slug: editor.slug,
+    status: editor.status,
+    mustChangePassword: editor.mustChangePassword,
+    twoFactorEnabled: Boolean(editor.twoFactor?.enabled),
+  };
 }
 
-/** Utility: simple random password generator */
-function generateRandomPassword(length = 10) {
+/** Utility: random password that passes the strength rules */
+function generateRandomPassword(length = 14) {
   const chars =
     "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789!@#$%";
-  let pwd = "";
-  for (let i = 0; i < length; i++) {
-    pwd += chars[Math.floor(Math.random() * chars.length)];
-  }
+  let pwd;
+  do {
+    pwd = "";
+    for (let i = 0; i < length; i++) {
+      pwd += chars[crypto.randomInt(chars.length)];
+    }
+  } while (passwordError(pwd));
   return pwd;
 }
 
@@ -33,130 +228,389 @@ function generateRandomPassword(length = 10) {
 
 /**
  * POST /api/admin/editors
- * Create a new editor account
+ * Create a new editor account (role defaults to "contributor") with a
+ * password chosen by the admin; POST /api/admin/invitations lets the
+ * editor choose it instead
  */
-router.post("/editors", authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
+router.post(
+  "/editors",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ body: editorBody }),
+  async (req, res, next) => {
+    try {
+      const { name, email, password } = req.body;
 
-    if (!name || !email || !password) {
-      return res
-        .status(400)
-        .json({ message: "Name, email and password are required" });
-    }
+      const assignment = await parseRoleAssignment(
+        req.body.role || "contributor",
+        req.body.categories
+      );
+      if (assignment.error) {
+        return res.status(400).json({ message: assignment.error });
+      }
 
-    const existing = await Editor.findOne({ email });
-    if (existing) {
-      return res.status(400).json({ message: "Email already in use" });
-    }
+      // deleted accounts keep their email until purged
+      const existing = await Editor.findOne({ email }).setOptions({
+        withDeleted: true,
+      });
+      if (existing) {
+        return res.status(400).json({
+          message: existing.deletedAt
+            ? "Email belongs to a deleted editor, restore it from the trash"
+            : "Email already in use",
+        });
+      }
 
-    const hashed = await hashPassword(password);
+      const hashed = await hashPassword(password);
 
-    const editor = await Editor.create({
-      name,
-      email,
-      password: hashed,
-      role: "user", // editors are "user" role in our setup
-    });
-
-    res.status(201).json({
-      message: "Editor created successfully",
-      editor: {
-        id: editor._id,
-        name: editor.name,
-        email: editor.email,
-        role: editor.role,
-        createdAt: editor.createdAt,
-      },
-    });
-  } catch (err) {
-    console.error("Create editor error:", err);
-    res.status(500).json({ message: "Server error" });
+      const editor = await Editor.create({
+        name,
+        email,
+        password: hashed,
+        role: assignment.role,
+        categories: assignment.categories,
+      });
+
+      await recordAudit(req, {
+        action: "editor.create",
+        target: { type: "editor", id: editor._id, label: editor.email },
+        after: summarize(editor, ["name", "email", "role", "categories"]),
+      });
+
+      res.status(201).json({
+        message: "Editor created successfully",
+        editor: { ...editorJson(editor), createdAt: editor.createdAt },
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 /**
  * GET /api/admin/editors
  * List editors (all or limited)
  */
-router.get("/editors", authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { limit } = req.query;
-    let query = Editor.find().sort({ createdAt: -1 });
-    if (limit) query = query.limit(parseInt(limit, 10));
+router.get(
+  "/editors",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({
+    query: z.object({ limit: z.coerce.number().int().min(1).optional() }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { limit } = req.query;
+      let query = Editor.find().sort({ createdAt: -1 });
+      if (limit) query = query.limit(limit);
 
-    const editors = await query.select("name email role createdAt updatedAt");
-    res.json({ editors });
-  } catch (err) {
-    console.error("List editors error:", err);
-    res.status(500).json({ message: "Server error" });
+      const editors = await query.select(
+        "name email slug role categories status suspension " +
+          "mustChangePassword twoFactor.enabled twoFactor.enabledAt " +
+          "createdAt updatedAt"
+      );
+      res.json({ editors });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 /**
  * PUT /api/admin/editors/:id
- * Update editor basic info (name/email/role)
+ * Update editor basic info (name/email, and role/categories — see also
+ * PUT /api/admin/editors/:id/role) and their public author profile
+ * (bio, avatar, links)
  */
-router.put("/editors/:id", authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { name, email, role } = req.body;
-    const editor = await Editor.findById(req.params.id);
+router.put(
+  "/editors/:id",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({
+    params: idParams,
+    body: editorBody.omit({ password: true }).partial().merge(authorProfile),
+  }),
+  async (req, res, next) => {
+    try {
+      const { name, email, role } = req.body;
+      const editor = await Editor.findById(req.params.id);
+
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
+
+      const fields = ["name", "email", "role", "categories"];
+      const before = summarize(editor, fields);
+
+      if (role || req.body.categories) {
+        const assignment = await parseRoleAssignment(
+          role || editor.role,
+          req.body.categories || editor.categories
+        );
+        if (assignment.error) {
+          return res.status(400).json({ message: assignment.error });
+        }
+        if (assignment.role !== "admin" && (await isLastAdmin(editor))) {
+          return res
+            .status(400)
+            .json({ message: "Cannot remove the last admin" });
+        }
+        editor.role = assignment.role;
+        editor.categories = assignment.categories;
+      }
 
-    if (!editor) {
-      return res.status(404).json({ message: "Editor not found" });
+      if (email && email !== editor.email) {
+        const existing = await Editor.findOne({
+          email,
+          _id: { $ne: editor._id },
+        }).setOptions({ withDeleted: true });
+        if (existing) {
+          return res
+            .status(400)
+            .json({ message: "Email is already used by another user" });
+        }
+        editor.email = email;
+      }
+
+      if (name) editor.name = name;
+      const profileError = await applyAuthorProfile(editor, req.body);
+      if (profileError) {
+        return res.status(400).json({ message: profileError });
+      }
+      const profileChanged = publicProfileChanged(editor);
+
+      await editor.save();
+      // bylines and the author page show these
+      if (profileChanged) await invalidatePublic(`author:${editor._id}`);
+
+      await recordAudit(req, {
+        action: "editor.update",
+        target: { type: "editor", id: editor._id, label: editor.email },
+        before,
+        after: summarize(editor, fields),
+      });
+
+      res.json({
+        message: "Editor updated successfully",
+        editor: editorJson(editor),
+      });
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    if (email && email !== editor.email) {
-      const existing = await Editor.findOne({
-        email,
-        _id: { $ne: editor._id },
+/**
+ * GET /api/admin/roles
+ * Roles with their capabilities, and which roles are category-scoped
+ */
+router.get(
+  "/roles",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  async (req, res, next) => {
+    try {
+      res.json({
+        roles: ROLES.map((role) => ({
+          role,
+          capabilities: ROLE_CAPABILITIES[role],
+          scoped: SCOPED_ROLES.includes(role),
+        })),
+        capabilities: Object.values(CAPABILITIES),
+        categories: (
+          await Category.find().sort({ order: 1 }).select("slug").lean()
+        ).map((category) => category.slug),
       });
-      if (existing) {
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/editors/:id/role
+ * Assign a role and, for section editors, the categories they cover
+ * body: { role, categories? }
+ */
+router.put(
+  "/editors/:id/role",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ params: idParams, body: roleBody }),
+  async (req, res, next) => {
+    try {
+      const assignment = await parseRoleAssignment(
+        req.body.role,
+        req.body.categories
+      );
+      if (assignment.error) {
+        return res.status(400).json({ message: assignment.error });
+      }
+
+      const editor = await Editor.findById(req.params.id);
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
+
+      if (assignment.role !== "admin" && (await isLastAdmin(editor))) {
         return res
           .status(400)
-          .json({ message: "Email is already used by another user" });
+          .json({ message: "Cannot remove the last admin" });
       }
-      editor.email = email;
+
+      const before = summarize(editor, ["role", "categories"]);
+      editor.role = assignment.role;
+      editor.categories = assignment.categories;
+      await editor.save();
+
+      await recordAudit(req, {
+        action: "editor.role",
+        target: { type: "editor", id: editor._id, label: editor.email },
+        before,
+        after: summarize(editor, ["role", "categories"]),
+      });
+
+      res.json({ message: "Role updated", editor: editorJson(editor) });
+    } catch (err) {
+      next(err);
     }
+  }
+);
+
+/**
+ * PUT /api/admin/editors/:id/status
+ * Suspend an account (no login, tokens stop working, sessions ended) or
+ * reactivate it
+ * Body: { status: "active" | "suspended", reason? }
+ */
+router.put(
+  "/editors/:id/status",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({
+    params: idParams,
+    body: z.object({
+      status: z.enum(ACCOUNT_STATUSES),
+      reason: z.string().trim().optional(),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, reason } = req.body;
+
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({
+          message: "You cannot change the status of your own account",
+        });
+      }
+
+      const editor = await Editor.findById(req.params.id);
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
+      if (status === "suspended" && (await isLastAdmin(editor))) {
+        return res
+          .status(400)
+          .json({ message: "Cannot suspend the last admin" });
+      }
 
-    if (name) editor.name = name;
-    if (role) editor.role = role;
+      const before = summarize(editor, ["status"]);
+      editor.status = status;
+      editor.suspension =
+        status === "suspended"
+          ? { reason, by: req.user.id, at: new Date() }
+          : undefined;
+      await editor.save();
+      if (status === "suspended") await revokeAllSessions(editor._id);
 
-    await editor.save();
+      await recordAudit(req, {
+        action: "editor.status",
+        target: { type: "editor", id: editor._id, label: editor.email },
+        before,
+        after: summarize(editor, ["status"]),
+        meta: reason ? { reason } : undefined,
+      });
 
-    res.json({
-      message: "Editor updated successfully",
-      editor: {
-        id: editor._id,
-        name: editor.name,
-        email: editor.email,
-        role: editor.role,
-      },
-    });
-  } catch (err) {
-    console.error("Update editor error:", err);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        message:
+          status === "suspended" ? "Editor suspended" : "Editor reactivated",
+        editor: editorJson(editor),
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 /**
  * PUT /api/admin/editors/:id/reset-password
  * Reset an editor password to a new random one (returned to admin)
+ * and log the editor out of every session. They have to choose their own
+ * password at the next login (mustChangePassword).
+ * Body: { delivery?: "response" | "email" }
+ *   email → the password is not revealed; the editor gets a reset link
  */
 router.put(
   "/editors/:id/reset-password",
   authMiddleware,
-  requireAdmin,
-  async (req, res) => {
+  authorize(USERS_MANAGE),
+  validate({
+    params: idParams,
+    body: z.object({
+      delivery: z.enum(["response", "email"]).default("response"),
+    }),
+  }),
+  async (req, res, next) => {
     try {
       const editor = await Editor.findById(req.params.id);
       if (!editor) {
         return res.status(404).json({ message: "Editor not found" });
       }
 
+      const { delivery } = req.body;
+
+      if (delivery === "email") {
+        // the link goes out first: if the mail fails, the account keeps
+        // working with its old password
+        try {
+          await sendPasswordReset(editor, { requestedBy: req.user.id });
+        } catch (err) {
+          console.error("Password reset mail error:", err);
+          return res.status(502).json({
+            message:
+              "Password reset link could not be sent, the password was not changed",
+          });
+        }
+
+        // nobody knows the new password; the editor sets one via the link
+        editor.password = await hashPassword(generateSecret());
+        editor.mustChangePassword = true;
+        await editor.save();
+        await revokeAllSessions(editor._id);
+
+        await recordAudit(req, {
+          action: "editor.reset_password",
+          target: { type: "editor", id: editor._id, label: editor.email },
+          meta: { delivery },
+        });
+
+        return res.json({
+          message: "Password reset link sent",
+          email: editor.email,
+        });
+      }
+
       const newPassword = generateRandomPassword();
       editor.password = await hashPassword(newPassword);
+      editor.mustChangePassword = true;
       await editor.save();
+      await revokeAllSessions(editor._id);
+
+      await recordAudit(req, {
+        action: "editor.reset_password",
+        target: { type: "editor", id: editor._id, label: editor.email },
+        meta: { delivery },
+      });
 
       res.json({
         message: "Password reset successfully",
@@ -164,206 +618,1822 @@ router.put(
         newPassword, // admin can copy this & send to editor
       });
     } catch (err) {
-      console.error("Reset password error:", err);
-      res.status(500).json({ message: "Server error" });
+      next(err);
     }
   }
 );
 
 /**
- * DELETE /api/admin/editors/:id
- * Delete an editor (not the current admin)
+ * GET /api/admin/editors/:id/lockout
+ * Failed login count and lockout state of an editor account
  */
-router.delete(
-  "/editors/:id",
+router.get(
+  "/editors/:id/lockout",
   authMiddleware,
-  requireAdmin,
-  async (req, res) => {
+  authorize(USERS_MANAGE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
     try {
-      const editorId = req.params.id;
-
-      // Optional safety: prevent admin from deleting themselves
-      if (req.user && String(req.user._id) === String(editorId)) {
-        return res
-          .status(400)
-          .json({ message: "You cannot delete your own admin account" });
-      }
-
-      const editor = await Editor.findByIdAndDelete(editorId);
+      const editor = await Editor.findById(req.params.id).select("email");
       if (!editor) {
         return res.status(404).json({ message: "Editor not found" });
       }
 
-      res.json({ message: "Editor deleted successfully" });
+      const lockout = await getAccountLockout(editor.email);
+      res.json({ email: editor.email, lockout });
     } catch (err) {
-      console.error("Delete editor error:", err);
-      res.status(500).json({ message: "Server error" });
+      next(err);
     }
   }
 );
 
-/* ------------------------------------------------------------------ */
-/*  DASHBOARD OVERVIEW                                                 */
-/* ------------------------------------------------------------------ */
-
 /**
- * GET /api/admin/overview
- * Overall stats for dashboard
+ * DELETE /api/admin/editors/:id/lockout
+ * Clear failed logins / lockout so the editor can log in again
  */
-router.get("/overview", authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const [
-      totalEditors,
-      totalArticles,
-      publishedArticles,
-      draftArticles,
-      pendingReviews,
-    ] = await Promise.all([
-      // all non-admin accounts
-      Editor.countDocuments({ role: { $ne: "admin" } }),
-      // all articles
-      Article.countDocuments(),
-      // published
-      Article.countDocuments({ status: "published" }),
-      // drafts
-      Article.countDocuments({ status: "draft" }),
-      // pending review
-      Article.countDocuments({ status: "in_review" }),
-    ]);
-
-    res.json({
-      totalEditors,
-      totalArticles,
-      publishedArticles,
-      draftArticles,
-      pendingReviews,
-    });
-  } catch (err) {
-    console.error("Admin overview error:", err);
-    res.status(500).json({ message: "Server error" });
-  }
-});
+router.delete(
+  "/editors/:id/lockout",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const editor = await Editor.findById(req.params.id).select("email");
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
 
-/* ------------------------------------------------------------------ */
-/*  ARTICLES (ADMIN VIEW + STATUS CONTROL)                            */
-/* ------------------------------------------------------------------ */
+      await clearAccountLockout(editor.email);
 
-/**
- * GET /api/admin/articles
- * List articles across all editors (supports filters for dashboard & listing)
- * Query:
- *   status? = draft | in_review | published
- *   page?   = 1..N
- *   limit?  = default 20
- */
-router.get("/articles", authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const {
-      status,           // optional
-      page = 1,
-      limit = 20,
-    } = req.query;
-
-    const query = {};
-    if (status) {
-      query.status = status;
-    }
-
-    const skip = (Number(page) - 1) * Number(limit);
-
-    const [articles, total] = await Promise.all([
-      Article.find(query)
-        .sort({ updatedAt: -1 })
-        // NOTE: using "author" because your schema uses that, not "editor"
-        .skip(skip)
-        .limit(Number(limit))
-        .populate("author", "name email"),
-      Article.countDocuments(query),
-    ]);
-
-    res.json({
-      articles,
-      total,
-      page: Number(page),
-      limit: Number(limit),
-    });
-  } catch (err) {
-    console.error("Admin list articles error:", err);
-    res.status(500).json({ message: "Server error" });
+      await recordAudit(req, {
+        action: "editor.lockout_clear",
+        target: { type: "editor", id: editor._id, label: editor.email },
+      });
+      res.json({ message: "Lockout cleared", email: editor.email });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 /**
- * GET /api/admin/articles/:id
- * Single article detail (for popup)
+ * DELETE /api/admin/editors/:id/2fa
+ * Reset two-factor authentication (lost phone and recovery codes): turns
+ * it off and logs the editor out everywhere. If their role requires 2FA
+ * they have to enrol again at the next login.
  */
-router.get("/articles/:id", authMiddleware, requireAdmin, async (req, res) => {
-  const { id } = req.params;
+router.delete(
+  "/editors/:id/2fa",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const editor = await Editor.findById(req.params.id);
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
+      if (!editor.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
 
-  try {
-    // Validate ObjectId to avoid CastError
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(404).json({ message: "Article not found" });
-    }
+      disableTwoFactor(editor);
+      await editor.save();
+      await revokeAllSessions(editor._id);
 
-    // IMPORTANT: populate "author" (your schema), not "editor"
-    const article = await Article.findById(id).populate(
-      "author",
-      "name email"
-    );
+      await recordAudit(req, {
+        action: "editor.2fa_reset",
+        target: { type: "editor", id: editor._id, label: editor.email },
+      });
 
-    if (!article) {
-      return res.status(404).json({ message: "Article not found" });
+      res.json({
+        message: "Two-factor authentication reset",
+        editor: editorJson(editor),
+      });
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    return res.json({ article });
-  } catch (err) {
-    console.error("Admin get article detail error:", err);
-    return res.status(500).json({ message: "Server error" });
+/**
+ * GET /api/admin/settings/two-factor
+ * { requiredRoles } — roles that must use two-factor authentication
+ */
+router.get(
+  "/settings/two-factor",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  async (req, res, next) => {
+    try {
+      res.json({ requiredRoles: await twoFactorRequiredRoles() });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 /**
- * PUT /api/admin/articles/:id/status
- * Change status of an article: draft | in_review | published
+ * PUT /api/admin/settings/two-factor
+ * Body: { requiredRoles: [...] } replaces the list. Editors with one of
+ * these roles and no 2FA can only use the 2FA setup routes until they
+ * enrol.
  */
 router.put(
-  "/articles/:id/status",
+  "/settings/two-factor",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ body: z.object({ requiredRoles: z.array(z.enum(ROLES)) }) }),
+  async (req, res, next) => {
+    try {
+      const before = await twoFactorRequiredRoles();
+      const requiredRoles = await setTwoFactorRequiredRoles(
+        req.body.requiredRoles,
+        req.user.id
+      );
+
+      await recordAudit(req, {
+        action: "settings.two_factor",
+        before: { requiredRoles: before },
+        after: { requiredRoles },
+      });
+
+      res.json({ message: "Two-factor settings updated", requiredRoles });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/editors/:id?reassignTo=<editor id>
+ * Move an editor (not the current admin) to the trash: they can't log in
+ * any more, and are purged after TRASH_RETENTION_DAYS. Editors who still
+ * author articles (trashed ones included) need reassignTo: their articles
+ * move to that editor first, so no article is left pointing at a deleted
+ * account.
+ */
+router.delete(
+  "/editors/:id",
   authMiddleware,
-  requireAdmin,
-  async (req, res) => {
+  authorize(USERS_MANAGE),
+  validate({
+    params: idParams,
+    query: z.object({ reassignTo: objectId.optional() }),
+  }),
+  async (req, res, next) => {
     try {
-      const { status } = req.body;
+      const editorId = req.params.id;
+      const { reassignTo } = req.query;
 
-      const allowed = ["draft", "in_review", "published"];
-      if (!allowed.includes(status)) {
+      // Optional safety: prevent admin from deleting themselves
+      if (req.user && String(req.user.id) === String(editorId)) {
         return res
           .status(400)
-          .json({ message: "Invalid status value supplied" });
+          .json({ message: "You cannot delete your own account" });
       }
 
-      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-        return res.status(404).json({ message: "Article not found" });
+      const editor = await Editor.findById(editorId);
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
       }
-
-      const article = await Article.findById(req.params.id);
-      if (!article) {
-        return res.status(404).json({ message: "Article not found" });
+      if (await isLastAdmin(editor)) {
+        return res
+          .status(400)
+          .json({ message: "Cannot remove the last admin" });
       }
 
-      article.status = status;
-      if (status === "published") {
-        article.publishedAt = new Date();
+      const articleCount = await Article.countDocuments({
+        author: editor._id,
+      }).setOptions({ withDeleted: true });
+      let heir = null;
+      if (articleCount) {
+        if (!reassignTo) {
+          return res.status(409).json({
+            message: `Editor authors ${articleCount} article(s), pass reassignTo`,
+            articleCount,
+          });
+        }
+        heir =
+          reassignTo !== editorId &&
+          (await Editor.findById(reassignTo).select("email"));
+        if (!heir) {
+          return res
+            .status(400)
+            .json({ message: "reassignTo must be the id of another editor" });
+        }
+        await Article.updateMany(
+          { author: editor._id },
+          { author: heir._id }
+        ).setOptions({ withDeleted: true });
       }
-      await article.save();
+
+      await trashEditor(editor, req.user.id);
+      await revokeAllSessions(editor._id);
+      // public articles showed this author; reassigned ones now show the
+      // heir, on list cards too
+      await invalidatePublic(
+        heir
+          ? [`author:${editor._id}`, `author:${heir._id}`, LIST_TAG]
+          : `author:${editor._id}`
+      );
+
+      await recordAudit(req, {
+        action: "editor.delete",
+        target: { type: "editor", id: editor._id, label: editor.email },
+        before: summarize(editor, ["name", "email", "role"]),
+        meta: heir
+          ? { reassignedTo: heir.email, reassignedArticles: articleCount }
+          : undefined,
+      });
 
       res.json({
-        message: "Article status updated",
-        article,
+        message: "Editor moved to the trash",
+        purgeAt: purgeDate(editor),
+        reassignedArticles: heir ? articleCount : 0,
       });
     } catch (err) {
-      console.error("Admin update article status error:", err);
-      res.status(500).json({ message: "Server error" });
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  INVITATIONS                                                        */
+/* ------------------------------------------------------------------ */
+
+function invitationJson(invitation, now = new Date()) {
+  return {
+    id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    categories: invitation.categories,
+    status: invitation.status,
+    // pending but the link no longer works: resend it
+    expired: invitation.status === "pending" && invitation.expiresAt <= now,
+    expiresAt: invitation.expiresAt,
+    sentCount: invitation.sentCount,
+    lastSentAt: invitation.lastSentAt,
+    invitedBy: invitation.invitedBy,
+    createdAt: invitation.createdAt,
+    acceptedAt: invitation.acceptedAt,
+    editor: invitation.editor,
+    revokedAt: invitation.revokedAt,
+  };
+}
+
+/** Why `email` can't be invited, or null */
+async function invitationEmailError(email) {
+  // deleted accounts keep their email until purged
+  const editor = await Editor.findOne({ email }).setOptions({
+    withDeleted: true,
+  });
+  if (!editor) return null;
+  return editor.deletedAt
+    ? "Email belongs to a deleted editor, restore it from the trash"
+    : "Email already belongs to an editor";
+}
+
+/** Pending invitation :id, or null → 404 */
+async function findPendingInvitation(req) {
+  return Invitation.findOne({ _id: req.params.id, status: "pending" });
+}
+
+/**
+ * POST /api/admin/invitations
+ * Invite someone by email: they get a single-use link
+ * (INVITATION_TTL_DAYS, default 7) to choose their name and password
+ * Body: { email, role? (default "contributor"),
+ *         categories? (section_editor) }
+ */
+router.post(
+  "/invitations",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({
+    body: z.object({
+      email,
+      role: z.enum(ROLES).optional(),
+      categories: stringList.optional(),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      const assignment = await parseRoleAssignment(
+        req.body.role || "contributor",
+        req.body.categories
+      );
+      if (assignment.error) {
+        return res.status(400).json({ message: assignment.error });
+      }
+
+      const emailError = await invitationEmailError(email);
+      if (emailError) {
+        return res.status(400).json({ message: emailError });
+      }
+
+      const pending = await Invitation.findOne({ email, status: "pending" });
+      if (pending) {
+        return res.status(409).json({
+          message: "Email already has a pending invitation, resend it",
+          invitationId: pending._id,
+        });
+      }
+
+      const invitation = new Invitation({
+        email,
+        role: assignment.role,
+        categories: assignment.categories,
+        invitedBy: req.user.id,
+      });
+      const inviter = await Editor.findById(req.user.id).select("name");
+      await sendInvitation(invitation, { invitedBy: inviter });
+
+      await recordAudit(req, {
+        action: "invitation.create",
+        target: {
+          type: "invitation",
+          id: invitation._id,
+          label: invitation.email,
+        },
+        after: summarize(invitation, ["email", "role", "categories"]),
+      });
+
+      res.status(201).json({
+        message: "Invitation sent",
+        invitation: invitationJson(invitation),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/invitations
+ * Invitations, newest first
+ * Query:
+ *   status? = pending (default) | accepted | revoked
+ *   limit?  = default 20, max 100
+ *   cursor? = nextCursor from the previous page
+ */
+router.get(
+  "/invitations",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({
+    query: z.object({
+      status: z.enum(INVITATION_STATUSES).default("pending"),
+      limit: limit({ def: 20, max: 100 }),
+      cursor,
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, limit, cursor } = req.query;
+
+      let query = { status };
+      if (cursor) {
+        const after = dateKeysetFilter("createdAt", -1, cursor);
+        if (!after) {
+          return res.status(400).json({ message: "Invalid cursor" });
+        }
+        query = { $and: [query, after] };
+      }
+
+      const docs = await Invitation.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate(populateWithDeleted("invitedBy", "name email"));
+
+      const { items, nextCursor } = dateKeysetPage(docs, limit, "createdAt");
+
+      const now = new Date();
+      res.json({
+        invitations: items.map((item) => invitationJson(item, now)),
+        nextCursor,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/invitations/:id/resend
+ * Mail a pending invitation again with a new link (the old one stops
+ * working) and a new expiry
+ */
+router.post(
+  "/invitations/:id/resend",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const invitation = await findPendingInvitation(req);
+      if (!invitation) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      // an account may have been created for the email meanwhile
+      const emailError = await invitationEmailError(invitation.email);
+      if (emailError) {
+        return res.status(400).json({ message: emailError });
+      }
+
+      const inviter = await Editor.findById(req.user.id).select("name");
+      await sendInvitation(invitation, { invitedBy: inviter });
+
+      await recordAudit(req, {
+        action: "invitation.resend",
+        target: {
+          type: "invitation",
+          id: invitation._id,
+          label: invitation.email,
+        },
+        meta: { sentCount: invitation.sentCount },
+      });
+
+      res.json({
+        message: "Invitation sent again",
+        invitation: invitationJson(invitation),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/invitations/:id
+ * Revoke a pending invitation; its link stops working
+ */
+router.delete(
+  "/invitations/:id",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const invitation = await findPendingInvitation(req);
+      if (!invitation) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      invitation.status = "revoked";
+      invitation.revokedAt = new Date();
+      invitation.revokedBy = req.user.id;
+      await invitation.save();
+
+      await recordAudit(req, {
+        action: "invitation.revoke",
+        target: {
+          type: "invitation",
+          id: invitation._id,
+          label: invitation.email,
+        },
+      });
+
+      res.json({
+        message: "Invitation revoked",
+        invitation: invitationJson(invitation),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  DASHBOARD OVERVIEW                                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/admin/overview
+ * Overall stats for dashboard
+ */
+router.get(
+  "/overview",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  async (req, res, next) => {
+    try {
+      const scope = articleScopeFilter(req.user);
+      const [
+        totalEditors,
+        totalArticles,
+        publishedArticles,
+        draftArticles,
+        pendingReviews,
+        scheduledArticles,
+        approvedArticles,
+      ] = await Promise.all([
+        // all non-admin accounts
+        Editor.countDocuments({ role: { $ne: "admin" } }),
+        // all articles (within the section editor's categories)
+        Article.countDocuments(scope),
+        // published
+        Article.countDocuments({ ...scope, status: "published" }),
+        // drafts
+        Article.countDocuments({ ...scope, status: "draft" }),
+        // pending review
+        Article.countDocuments({ ...scope, status: "in_review" }),
+        // queued for the scheduler
+        Article.countDocuments({ ...scope, status: "scheduled" }),
+        // reviewed, waiting to be published
+        Article.countDocuments({ ...scope, status: "approved" }),
+      ]);
+
+      res.json({
+        totalEditors,
+        totalArticles,
+        publishedArticles,
+        draftArticles,
+        pendingReviews,
+        scheduledArticles,
+        approvedArticles,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  ANALYTICS                                                          */
+/* ------------------------------------------------------------------ */
+
+// shared by the analytics routes; see utils/analytics.js
+const analyticsQuery = z.object({
+  from: date.optional(),
+  to: date.optional(),
+  interval: z.enum(ANALYTICS_INTERVALS).default("day"),
+});
+
+const publishedQuery = analyticsQuery.extend({
+  by: z.enum(ANALYTICS_GROUPS).default("total"),
+});
+
+/**
+ * GET /api/admin/analytics/published
+ * Published articles per day / week / month, in total or per editor /
+ * category (section editors: their categories only)
+ * Query:
+ *   from?, to? = date range, default the last 30 days
+ *   interval?  = day | week | month (default day)
+ *   by?        = total | editor | category (default total)
+ * → { periods: [start, ...], series: [{ key, label, counts, total }], ... }
+ */
+router.get(
+  "/analytics/published",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ query: publishedQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      const scope = articleScopeFilter(req.user);
+      res.json(await publishedSeries(scope, range, req.query.by));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/analytics/published/export.csv
+ * Same query as GET /analytics/published, one row per series and period
+ */
+router.get(
+  "/analytics/published/export.csv",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ query: publishedQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      const scope = articleScopeFilter(req.user);
+      const result = await publishedSeries(scope, range, req.query.by);
+      const csv = toCsv(
+        publishedSeriesCsvRows(result),
+        PUBLISHED_SERIES_CSV_COLUMNS
+      );
+      sendCsv(res, `published-by-${req.query.by}.csv`, csv);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/analytics/publish-times
+ * Median hours from creation to publish and from submission for review to
+ * publish, overall and per period. Same from / to / interval as above.
+ */
+router.get(
+  "/analytics/publish-times",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      res.json(await publishTimes(articleScopeFilter(req.user), range));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/analytics/publish-times/export.csv
+ * GET /analytics/publish-times per period, as CSV
+ */
+router.get(
+  "/analytics/publish-times/export.csv",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      const result = await publishTimes(articleScopeFilter(req.user), range);
+      const csv = toCsv(publishTimesCsvRows(result), PUBLISH_TIMES_CSV_COLUMNS);
+      sendCsv(res, "publish-times.csv", csv);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/analytics/editors?from=&to=
+ * Per editor in the range: articles created, submitted for review,
+ * published, and median publish times. Most published first. Section
+ * editors only see the authors in their categories; emails only with
+ * users.manage.
+ */
+router.get(
+  "/analytics/editors",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      const withEmail = can(req.user, USERS_MANAGE);
+      res.json(
+        await editorOutput(articleScopeFilter(req.user), range, { withEmail })
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/analytics/editors/export.csv
+ * GET /analytics/editors as CSV
+ */
+router.get(
+  "/analytics/editors/export.csv",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      const withEmail = can(req.user, USERS_MANAGE);
+      const result = await editorOutput(articleScopeFilter(req.user), range, {
+        withEmail,
+      });
+      const csv = toCsv(
+        editorOutputCsvRows(result),
+        editorOutputCsvColumns({ withEmail })
+      );
+      sendCsv(res, "editor-output.csv", csv);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  ARTICLES (ADMIN VIEW + STATUS CONTROL)                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/admin/articles
+ * List articles across all editors (supports filters for dashboard & listing)
+ * Section editors only see their categories.
+ * Query:
+ *   status? = draft | in_review | changes_requested | approved
+ *             | scheduled | published | archived
+ *   limit?  = default 20, max 100
+ *   cursor? = nextCursor from the previous page (preferred)
+ *   page?   = 1..N, legacy offset paging when no cursor is given
+ */
+router.get(
+  "/articles",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({
+    query: z.object({
+      status: z.enum(ARTICLE_STATUSES).optional(),
+      limit: limit({ def: 20, max: 100 }),
+      cursor,
+      page,
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, limit, cursor, page } = req.query;
+
+      const query = articleScopeFilter(req.user);
+      if (status) {
+        query.status = status;
+      }
+
+      let find = Article.find(query);
+      if (cursor) {
+        const after = dateKeysetFilter("updatedAt", -1, cursor);
+        if (!after) {
+          return res.status(400).json({ message: "Invalid cursor" });
+        }
+        find = Article.find({ $and: [query, after] });
+      } else {
+        find = find.skip((page - 1) * limit);
+      }
+
+      const [docs, total] = await Promise.all([
+        find
+          .sort({ updatedAt: -1, _id: -1 })
+          // NOTE: using "author" because your schema uses that, not "editor"
+          .limit(limit + 1)
+          .populate("author", "name email"),
+        Article.countDocuments(query),
+      ]);
+
+      const { items: articles, nextCursor } = dateKeysetPage(
+        docs,
+        limit,
+        "updatedAt"
+      );
+
+      res.json({
+        articles,
+        total,
+        nextCursor,
+        page: cursor ? undefined : page,
+        limit,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/articles/:id
+ * Single article detail (for popup)
+ */
+router.get(
+  "/articles/:id",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    const { id } = req.params;
+
+    try {
+      // IMPORTANT: populate "author" (your schema), not "editor"
+      const article = await Article.findById(id)
+        .populate("author", "name email")
+        .populate("image", PUBLIC_MEDIA_FIELDS);
+
+      if (!article || !can(req.user, ARTICLE_VIEW_ANY, article)) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      return res.json({ article });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/articles/:id/status
+ * Move an article through the review workflow (see utils/workflow.js)
+ * Body: { status, reason?, scheduledAt?, expiresAt? }
+ *   reason      required for "changes_requested", shown to the author
+ *   scheduledAt required for "scheduled"
+ */
+router.put(
+  "/articles/:id/status",
+  authMiddleware,
+  authorize(ARTICLE_REVIEW, ARTICLE_PUBLISH),
+  validate({
+    params: idParams,
+    body: z.object({
+      status: z.enum(ARTICLE_STATUSES),
+      reason: z.string().optional(),
+      scheduledAt: nullableDate.optional(),
+      expiresAt: nullableDate.optional(),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, reason, scheduledAt, expiresAt } = req.body;
+
+      const article = await findScopedArticle(req, ARTICLE_VIEW_ANY);
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const before = summarize(article, STATUS_FIELDS);
+      const invalidate = trackPublicChange(article);
+
+      const publishError = applyPublishing(
+        article,
+        { status, reason, scheduledAt, expiresAt },
+        { user: req.user, restampPublishedAt: true }
+      );
+      if (publishError) {
+        return res.status(400).json({ message: publishError });
+      }
+      await saveWithRevision(article, req.user.id);
+      await invalidate();
+
+      await recordAudit(req, {
+        action: "article.status",
+        target: { type: "article", id: article._id, label: article.title },
+        before,
+        after: summarize(article, STATUS_FIELDS),
+        meta: reason ? { reason } : undefined,
+      });
+
+      res.json({
+        message: "Article status updated",
+        article,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// which articles a bulk request acts on: ids or a filter, not both
+const bulkSelection = z.object({
+  ids: z.array(objectId).min(1).max(MAX_BULK_ARTICLES).optional(),
+  filter: z
+    .object({
+      status: z.enum(ARTICLE_STATUSES).optional(),
+      category: z.string().trim().toLowerCase().optional(),
+      tag: z.string().optional(),
+      author: objectId.optional(),
+    })
+    .optional(),
+});
+
+const bulkCategories = stringList.pipe(
+  z.array(z.string().toLowerCase()).min(1)
+);
+
+const bulkArticlesBody = z
+  .discriminatedUnion("action", [
+    bulkSelection.extend({
+      action: z.literal("status"),
+      status: z.enum(ARTICLE_STATUSES),
+      reason: z.string().optional(),
+      scheduledAt: nullableDate.optional(),
+      expiresAt: nullableDate.optional(),
+    }),
+    bulkSelection.extend({
+      action: z.literal("add_categories"),
+      categories: bulkCategories,
+    }),
+    bulkSelection.extend({
+      action: z.literal("remove_categories"),
+      categories: bulkCategories,
+    }),
+    bulkSelection.extend({ action: z.literal("reassign"), author: objectId }),
+    bulkSelection.extend({ action: z.literal("delete") }),
+  ])
+  .refine(
+    ({ ids, filter }) =>
+      Boolean(ids) !== Boolean(filter && Object.keys(filter).length),
+    { message: "Give either ids or a non-empty filter", path: ["ids"] }
+  );
+
+/**
+ * POST /api/admin/articles/bulk
+ * One action on many articles (at most 500)
+ * Body:
+ *   ids?    = article ids        } exactly one of these
+ *   filter? = { status?, category?, tag?, author? }
+ *   action  = status             + status, reason?, scheduledAt?, expiresAt?
+ *           | add_categories     + categories
+ *           | remove_categories  + categories
+ *           | reassign           + author (editor id)
+ *           | delete             (to the trash)
+ * Every article gets the same checks as the single-article routes; one
+ * failing doesn't stop the others.
+ * Response: { action, matched, succeeded, failed,
+ *             results: [{ id, ok, error? }] }
+ */
+router.post(
+  "/articles/bulk",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ body: bulkArticlesBody }),
+  async (req, res, next) => {
+    try {
+      const input = req.body;
+
+      const capabilities = BULK_ARTICLE_ACTIONS[input.action];
+      if (!capabilities.some((cap) => can(req.user, cap))) {
+        return res.status(403).json({ message: "Not allowed" });
+      }
+
+      if (input.action === "add_categories") {
+        const cats = await resolveCategories(input.categories);
+        if (cats.error) {
+          return res.status(400).json({ message: cats.error });
+        }
+        input.categories = cats.categories;
+      }
+      if (
+        input.action === "reassign" &&
+        !(await Editor.exists({ _id: input.author }))
+      ) {
+        return res
+          .status(400)
+          .json({ message: "author must be the id of an editor" });
+      }
+
+      const { articles, missing, error } = await selectArticles(
+        req.user,
+        input
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const results = [
+        ...(await runBulkAction(req, articles, input)),
+        ...missing.map((id) => ({ id, ok: false, error: "Article not found" })),
+      ];
+      const succeeded = results.filter((result) => result.ok).length;
+
+      res.json({
+        action: input.action,
+        matched: articles.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/articles/:id
+ * Move an article to the trash (GET /api/admin/trash/articles); it is
+ * purged after TRASH_RETENTION_DAYS
+ */
+router.delete(
+  "/articles/:id",
+  authMiddleware,
+  authorize(ARTICLE_DELETE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const article = await findScopedArticle(req, ARTICLE_DELETE);
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      await trashArticle(article, req.user.id);
+
+      await recordAudit(req, {
+        action: "article.trash",
+        target: { type: "article", id: article._id, label: article.title },
+        before: summarize(article, ["title", "status", "author"]),
+      });
+
+      res.json({
+        message: "Article moved to the trash",
+        purgeAt: purgeDate(article),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  REVIEW COMMENTS                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/admin/articles/:id/comments
+ * Review comment thread of an article
+ */
+router.get(
+  "/articles/:id/comments",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const article = await Article.findById(req.params.id)
+        .select("status review categories")
+        .populate(populateWithDeleted("review.reviewer", "name email"));
+      if (!article || !can(req.user, ARTICLE_VIEW_ANY, article)) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const comments = await listCommentThread(article._id);
+      res.json({ status: article.status, review: article.review, comments });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/articles/:id/comments
+ * Comment on an article under review. Body: { body, parentId? }
+ */
+router.post(
+  "/articles/:id/comments",
+  authMiddleware,
+  authorize(ARTICLE_REVIEW),
+  validate({ params: idParams, body: commentBody }),
+  async (req, res, next) => {
+    try {
+      const article = await Article.findById(req.params.id).select(
+        "status categories"
+      );
+      if (!article || !can(req.user, ARTICLE_REVIEW, article)) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const { body, parentId } = req.body;
+      const { error, comment } = await addComment(article, req.user.id, {
+        body,
+        parentId,
+      });
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      res.status(201).json({ message: "Comment added", comment });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  ARTICLE REVISIONS                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/admin/articles/:id/revisions
+ * Revision list (newest first, without content) for any article
+ */
+router.get(
+  "/articles/:id/revisions",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      if (!(await findScopedArticle(req, ARTICLE_VIEW_ANY))) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const revisions = await ArticleRevision.find({ article: req.params.id })
+        .sort({ number: -1 })
+        .select("-content")
+        .populate(populateWithDeleted("editedBy", "name email"));
+
+      res.json({ revisions });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/articles/:id/revisions/diff?from=1&to=3
+ * Field-level diff between two revisions (to defaults to the latest)
+ */
+router.get(
+  "/articles/:id/revisions/diff",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({
+    params: idParams,
+    query: z.object({
+      from: z.coerce.number().int().min(1),
+      to: z.coerce.number().int().min(1).optional(),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { from, to } = req.query;
+
+      if (!(await findScopedArticle(req, ARTICLE_VIEW_ANY))) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const articleId = req.params.id;
+      const [fromRev, toRev] = await Promise.all([
+        ArticleRevision.findOne({ article: articleId, number: from }),
+        to === undefined
+          ? ArticleRevision.findOne({ article: articleId }).sort({
+              number: -1,
+            })
+          : ArticleRevision.findOne({ article: articleId, number: to }),
+      ]);
+
+      if (!fromRev || !toRev) {
+        return res.status(404).json({ message: "Revision not found" });
+      }
+
+      res.json({
+        from: fromRev.number,
+        to: toRev.number,
+        changes: diffRevisions(fromRev, toRev),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/articles/:id/revisions/:number
+ * Full content of one revision
+ */
+router.get(
+  "/articles/:id/revisions/:number",
+  authMiddleware,
+  authorize(ARTICLE_VIEW_ANY),
+  validate({ params: revisionParams }),
+  async (req, res, next) => {
+    try {
+      if (!(await findScopedArticle(req, ARTICLE_VIEW_ANY))) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const revision = await ArticleRevision.findOne({
+        article: req.params.id,
+        number: req.params.number,
+      }).populate(populateWithDeleted("editedBy", "name email"));
+
+      if (!revision) {
+        return res.status(404).json({ message: "Revision not found" });
+      }
+
+      res.json({ revision });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/articles/:id/revisions/:number/restore
+ * Restore an older revision as the current draft
+ */
+router.post(
+  "/articles/:id/revisions/:number/restore",
+  authMiddleware,
+  authorize(ARTICLE_EDIT_ANY),
+  validate({ params: revisionParams }),
+  async (req, res, next) => {
+    try {
+      const article = await findScopedArticle(req, ARTICLE_EDIT_ANY);
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const revision = await ArticleRevision.findOne({
+        article: article._id,
+        number: req.params.number,
+      });
+
+      if (!revision) {
+        return res.status(404).json({ message: "Revision not found" });
+      }
+
+      const before = summarize(article, ["title", "status"]);
+      const invalidate = trackPublicChange(article);
+      await restoreRevision(article, revision, req.user.id);
+      await invalidate();
+
+      await recordAudit(req, {
+        action: "article.restore",
+        target: { type: "article", id: article._id, label: article.title },
+        before,
+        after: summarize(article, ["title", "status"]),
+        meta: { revision: revision.number },
+      });
+
+      res.json({
+        message: `Revision ${revision.number} restored as draft`,
+        article,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  CATEGORIES                                                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/admin/categories
+ * All categories (inactive too) in navigation order, with article counts
+ */
+router.get(
+  "/categories",
+  authMiddleware,
+  authorize(CATEGORIES_MANAGE),
+  async (req, res, next) => {
+    try {
+      const [categories, counts] = await Promise.all([
+        Category.find().sort({ order: 1, name: 1 }).lean(),
+        categoryCounts(),
+      ]);
+
+      res.json({
+        categories: categories.map((category) => ({
+          ...category,
+          articleCount: counts[category.slug] || 0,
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/categories
+ * Body: { name, slug?, description?, order?, active? }
+ * slug defaults to one generated from the name
+ */
+router.post(
+  "/categories",
+  authMiddleware,
+  authorize(CATEGORIES_MANAGE),
+  validate({ body: categoryBody }),
+  async (req, res, next) => {
+    try {
+      const { name, description, order, active } = req.body;
+
+      const slug = slugify(req.body.slug || name, "");
+      if (!slug) {
+        return res.status(400).json({ message: "Invalid slug" });
+      }
+      if (await Category.exists({ slug })) {
+        return res
+          .status(400)
+          .json({ message: `Category "${slug}" already exists` });
+      }
+
+      const category = await Category.create({
+        name,
+        slug,
+        description,
+        order,
+        active,
+      });
+
+      await recordAudit(req, {
+        action: "category.create",
+        target: { type: "category", id: category._id, label: category.slug },
+        after: summarize(category, CATEGORY_FIELDS),
+      });
+
+      res.status(201).json({ message: "Category created", category });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/categories/:id
+ * Body: { name?, slug?, description?, order?, active? }
+ * A new slug is a rename: articles and section editor scopes move along.
+ */
+router.put(
+  "/categories/:id",
+  authMiddleware,
+  authorize(CATEGORIES_MANAGE),
+  validate({ params: idParams, body: categoryBody.partial() }),
+  async (req, res, next) => {
+    try {
+      const category = await Category.findById(req.params.id);
+      if (!category) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      const before = summarize(category, CATEGORY_FIELDS);
+      const oldSlug = category.slug;
+
+      if (req.body.slug !== undefined) {
+        const slug = slugify(req.body.slug, "");
+        if (!slug) {
+          return res.status(400).json({ message: "Invalid slug" });
+        }
+        if (
+          slug !== oldSlug &&
+          (await Category.exists({ slug, _id: { $ne: category._id } }))
+        ) {
+          return res.status(400).json({
+            message: `Category "${slug}" already exists, merge instead`,
+          });
+        }
+        category.slug = slug;
+      }
+
+      for (const field of ["name", "description", "order", "active"]) {
+        if (req.body[field] !== undefined) category[field] = req.body[field];
+      }
+      await category.save();
+
+      const movedArticles = await moveCategory(oldSlug, category.slug);
+
+      await recordAudit(req, {
+        action: "category.update",
+        target: { type: "category", id: category._id, label: category.slug },
+        before,
+        after: summarize(category, CATEGORY_FIELDS),
+        meta: movedArticles ? { movedArticles } : undefined,
+      });
+
+      res.json({ message: "Category updated", category, movedArticles });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/categories/:id/merge
+ * Move all articles of this category into another one, then delete it.
+ * Body: { into } = id of the category that stays
+ */
+router.post(
+  "/categories/:id/merge",
+  authMiddleware,
+  authorize(CATEGORIES_MANAGE),
+  validate({ params: idParams, body: z.object({ into: objectId }) }),
+  async (req, res, next) => {
+    try {
+      const [source, target] = await Promise.all([
+        Category.findById(req.params.id),
+        Category.findById(req.body.into),
+      ]);
+      if (!source) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+      if (!target) {
+        return res
+          .status(400)
+          .json({ message: "into must be the id of another category" });
+      }
+      if (source._id.equals(target._id)) {
+        return res
+          .status(400)
+          .json({ message: "Cannot merge a category into itself" });
+      }
+
+      const movedArticles = await moveCategory(source.slug, target.slug);
+      await source.deleteOne();
+
+      await recordAudit(req, {
+        action: "category.merge",
+        target: { type: "category", id: target._id, label: target.slug },
+        before: summarize(source, CATEGORY_FIELDS),
+        meta: { from: source.slug, movedArticles },
+      });
+
+      res.json({
+        message: `Merged "${source.slug}" into "${target.slug}"`,
+        category: target,
+        movedArticles,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/categories/:id
+ * Only for unused categories; merge or deactivate the others
+ */
+router.delete(
+  "/categories/:id",
+  authMiddleware,
+  authorize(CATEGORIES_MANAGE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const category = await Category.findById(req.params.id);
+      if (!category) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      // trashed articles too, they may be restored
+      const used = await Article.countDocuments({
+        categories: category.slug,
+      }).setOptions({ withDeleted: true });
+      if (used) {
+        return res.status(409).json({
+          message: `Category is used by ${used} article(s), merge or deactivate it`,
+          articleCount: used,
+        });
+      }
+
+      await category.deleteOne();
+      await Editor.updateMany(
+        { categories: category.slug },
+        { $pull: { categories: category.slug } }
+      );
+
+      await recordAudit(req, {
+        action: "category.delete",
+        target: { type: "category", id: category._id, label: category.slug },
+        before: summarize(category, CATEGORY_FIELDS),
+      });
+
+      res.json({ message: "Category deleted" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  TRASH                                                              */
+/* ------------------------------------------------------------------ */
+
+const trashQuery = z.object({ limit: limit({ def: 20, max: 100 }), cursor });
+
+/**
+ * GET /api/admin/trash/articles
+ * Trashed articles (section editors: their categories), most recently
+ * deleted first, each with the date it will be purged
+ * Query: limit? (default 20, max 100), cursor?
+ */
+router.get(
+  "/trash/articles",
+  authMiddleware,
+  authorize(ARTICLE_DELETE),
+  validate({ query: trashQuery }),
+  async (req, res, next) => {
+    try {
+      const page = await trashPage(Article, articleScopeFilter(req.user), {
+        ...req.query,
+        select: "title slug status categories author deletedAt deletedBy",
+      });
+      if (!page) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+
+      res.json({
+        articles: page.items,
+        nextCursor: page.nextCursor,
+        retentionDays: TRASH_RETENTION_DAYS,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/trash/articles/:id/restore
+ * Take an article out of the trash, with the status it had
+ */
+router.post(
+  "/trash/articles/:id/restore",
+  authMiddleware,
+  authorize(ARTICLE_DELETE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const article = await Article.findOne({
+        _id: req.params.id,
+        ...IN_TRASH,
+      });
+      if (!article || !can(req.user, ARTICLE_DELETE, article)) {
+        return res.status(404).json({ message: "Article not in the trash" });
+      }
+
+      await restoreArticle(article);
+
+      await recordAudit(req, {
+        action: "article.trash_restore",
+        target: { type: "article", id: article._id, label: article.title },
+        after: summarize(article, ["title", "status", "author"]),
+      });
+
+      res.json({ message: "Article restored", article });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/trash/articles/:id
+ * Purge a trashed article now, with its revisions, comments and views
+ */
+router.delete(
+  "/trash/articles/:id",
+  authMiddleware,
+  authorize(ARTICLE_DELETE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const article = await Article.findOne({
+        _id: req.params.id,
+        ...IN_TRASH,
+      });
+      if (!article || !can(req.user, ARTICLE_DELETE, article)) {
+        return res.status(404).json({ message: "Article not in the trash" });
+      }
+
+      await purgeArticle(article);
+
+      await recordAudit(req, {
+        action: "article.purge",
+        target: { type: "article", id: article._id, label: article.title },
+        before: summarize(article, ["title", "status", "author"]),
+      });
+
+      res.json({ message: "Article deleted permanently" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/trash/editors
+ * Deleted editor accounts, most recently deleted first
+ * Query: limit? (default 20, max 100), cursor?
+ */
+router.get(
+  "/trash/editors",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ query: trashQuery }),
+  async (req, res, next) => {
+    try {
+      const page = await trashPage(Editor, {}, {
+        ...req.query,
+        select: "name email role categories deletedAt deletedBy",
+      });
+      if (!page) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+
+      res.json({
+        editors: page.items,
+        nextCursor: page.nextCursor,
+        retentionDays: TRASH_RETENTION_DAYS,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/trash/editors/:id/restore
+ * Reactivate a deleted editor account (they log in again; articles
+ * reassigned on deletion stay with the new author)
+ */
+router.post(
+  "/trash/editors/:id/restore",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const editor = await Editor.findOne({ _id: req.params.id, ...IN_TRASH });
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not in the trash" });
+      }
+
+      await restoreEditor(editor);
+
+      await recordAudit(req, {
+        action: "editor.restore",
+        target: { type: "editor", id: editor._id, label: editor.email },
+        after: summarize(editor, ["name", "email", "role"]),
+      });
+
+      res.json({ message: "Editor restored", editor: editorJson(editor) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/trash/editors/:id
+ * Purge a deleted editor account now
+ */
+router.delete(
+  "/trash/editors/:id",
+  authMiddleware,
+  authorize(USERS_MANAGE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const editor = await Editor.findOne({ _id: req.params.id, ...IN_TRASH });
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not in the trash" });
+      }
+
+      await purgeEditor(editor);
+
+      await recordAudit(req, {
+        action: "editor.purge",
+        target: { type: "editor", id: editor._id, label: editor.email },
+        before: summarize(editor, ["name", "email", "role"]),
+      });
+
+      res.json({ message: "Editor deleted permanently" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  AUDIT LOG                                                          */
+/* ------------------------------------------------------------------ */
+
+// max rows in one CSV export
+const AUDIT_EXPORT_LIMIT = 10000;
+
+const auditQuery = z.object({
+  action: z.string().optional(),
+  actor: objectId.optional(),
+  targetType: z.string().optional(),
+  targetId: objectId.optional(),
+  from: date.optional(),
+  to: date.optional(),
+});
+
+/** Mongo filter from (validated) audit query params */
+function auditFilter({ action, actor, targetType, targetId, from, to }) {
+  const filter = {};
+
+  if (action) {
+    // "article." matches every article action
+    const escaped = action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filter.action = action.endsWith(".")
+      ? { $regex: `^${escaped}` }
+      : action;
+  }
+
+  if (actor) filter.actor = actor;
+  if (targetId) filter.targetId = targetId;
+  if (targetType) filter.targetType = targetType;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return filter;
+}
+
+/**
+ * GET /api/admin/audit
+ * Audit entries, newest first
+ * Query:
+ *   action?     = exact action, or a prefix ending in "." (e.g. "editor.")
+ *   actor?      = editor id who did it
+ *   targetType? = editor | article | media | category | comment | invitation
+ *   targetId?   = id of the editor / article acted on
+ *   from?, to?  = date range
+ *   limit?      = default 50, max 200
+ *   cursor?     = nextCursor from the previous page
+ */
+router.get(
+  "/audit",
+  authMiddleware,
+  authorize(AUDIT_VIEW),
+  validate({
+    query: auditQuery.extend({ limit: limit({ def: 50, max: 200 }), cursor }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { limit, cursor } = req.query;
+      const filter = auditFilter(req.query);
+      const query = { ...filter };
+
+      if (cursor) {
+        const after = dateKeysetFilter("createdAt", -1, cursor);
+        if (!after) {
+          return res.status(400).json({ message: "Invalid cursor" });
+        }
+        query.$and = [after];
+      }
+
+      const [docs, total] = await Promise.all([
+        AuditLog.find(query)
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(limit + 1)
+          .lean(),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      const { items: entries, nextCursor } = dateKeysetPage(
+        docs,
+        limit,
+        "createdAt"
+      );
+
+      res.json({ entries, total, nextCursor });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/audit/export.csv
+ * Same filters as GET /audit, as a CSV download (newest 10000 rows)
+ */
+router.get(
+  "/audit/export.csv",
+  authMiddleware,
+  authorize(AUDIT_VIEW),
+  validate({ query: auditQuery }),
+  async (req, res, next) => {
+    try {
+      const filter = auditFilter(req.query);
+
+      const entries = await AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .lean();
+
+      const csv = toCsv(entries, [
+        { key: "createdAt", label: "timestamp" },
+        { key: "action", label: "action" },
+        { key: "actorEmail", label: "actor" },
+        { key: "actor", label: "actor_id" },
+        { key: "targetType", label: "target_type" },
+        { key: "targetLabel", label: "target" },
+        { key: "targetId", label: "target_id" },
+        { key: "before", label: "before" },
+        { key: "after", label: "after" },
+        { key: "meta", label: "meta" },
+        { key: "ip", label: "ip" },
+      ]);
+
+      sendCsv(res, "audit-log.csv", csv);
+    } catch (err) {
+      next(err);
     }
   }
 );
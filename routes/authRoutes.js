@@ -1,37 +1,656 @@
 // backend/routes/authRoutes.js
 import express from "express";
 import Editor from "../models/Editor.js";
-import { comparePassword, generateToken } from "../config/auth.js";
+import Session from "../models/Session.js";
+import {
+  comparePassword,
+  generateChallengeToken,
+  verifyChallengeToken,
+  CHALLENGE_TTL_SECONDS,
+} from "../config/auth.js";
+import { authMiddleware } from "../middleware/auth.js";
+import {
+  validate,
+  z,
+  idParams,
+  text,
+  email,
+  password,
+  newPassword,
+} from "../middleware/validate.js";
+import {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSession,
+  activeSessionFilter,
+} from "../utils/sessions.js";
+import {
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../utils/loginThrottle.js";
+import {
+  sendPasswordReset,
+  resetPasswordWithToken,
+} from "../utils/passwordReset.js";
+import {
+  findOpenInvitation,
+  acceptInvitation,
+} from "../utils/invitations.js";
+import {
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  useSecondFactor,
+  disableTwoFactor,
+  twoFactorRequiredRoles,
+  twoFactorSetupRequired,
+} from "../utils/twoFactor.js";
+import { recordAudit } from "../utils/audit.js";
 
 const router = express.Router();
 
-// ❌ no authMiddleware, no adminOnly here
-router.post("/login", async (req, res) => {
+// 2FA fields that are not loaded by default
+const TWO_FACTOR_SECRETS =
+  "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const codeBody = z.object({ code: text });
+
+/**
+ * Answer 429 when logins for `email` / this IP are throttled.
+ * Returns true when it did.
+ */
+async function rejectThrottled(req, res, email) {
+  const throttle = await checkLogin(email, req.ip);
+  if (!throttle.blocked) return false;
+
+  const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  await recordAudit(req, {
+    action: "auth.login_blocked",
+    meta: { email, scope: throttle.scope },
+  });
+  res.status(429).json({
+    message: "Too many failed login attempts, try again later",
+    retryAfter,
+  });
+  return true;
+}
+
+/**
+ * Last login step: start a session and answer with the tokens.
+ * `extra` is merged into the response.
+ */
+async function completeLogin(req, res, user, { meta, extra } = {}) {
+  await recordLoginSuccess(user.email);
+  await recordAudit(req, {
+    action: "auth.login",
+    actor: { id: user._id, email: user.email },
+    target: { type: "editor", id: user._id, label: user.email },
+    meta,
+  });
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      name: user.name,
+      // client sends them to the change-password / 2FA setup screen
+      mustChangePassword: user.mustChangePassword,
+      twoFactorSetupRequired: await twoFactorSetupRequired(user),
+    },
+    ...extra,
+  });
+}
+
+/**
+ * POST /api/auth/login
+ * Body: { email, password } → { token, refreshToken, user }, or with 2FA
+ * enabled { twoFactorRequired: true, challengeToken, expiresIn } for
+ * POST /api/auth/login/2fa
+ */
+router.post(
+  "/login",
+  validate({ body: z.object({ email, password }) }),
+  async (req, res, next) => {
+    try {
+      const { email: normalizedEmail, password } = req.body;
+
+      if (await rejectThrottled(req, res, normalizedEmail)) return;
+
+      const user = await Editor.findOne({ email: normalizedEmail });
+      const match = user && (await comparePassword(password, user.password));
+      if (!match) {
+        await recordLoginFailure(normalizedEmail, req.ip);
+        await recordAudit(req, {
+          action: "auth.login_failed",
+          target: user
+            ? { type: "editor", id: user._id, label: user.email }
+            : undefined,
+          meta: { email: normalizedEmail },
+        });
+        return res.status(401).json({ message: "Invalid credentials" });
+      }
+
+      // only told once the password is right
+      if (user.status === "suspended") {
+        await recordAudit(req, {
+          action: "auth.login_failed",
+          target: { type: "editor", id: user._id, label: user.email },
+          meta: { email: normalizedEmail, reason: "suspended" },
+        });
+        return res
+          .status(403)
+          .json({ message: "Account suspended", code: "account_suspended" });
+      }
+
+      // the password alone is not enough: no tokens until the code
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user),
+          expiresIn: CHALLENGE_TTL_SECONDS,
+        });
+      }
+
+      await completeLogin(req, res, user);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/login/2fa
+ * Body: { challengeToken, code } — code from the authenticator app, or a
+ * recovery code (used up) → same response as /login, plus
+ * recoveryCodesLeft after a recovery code
+ */
+router.post(
+  "/login/2fa",
+  validate({ body: z.object({ challengeToken: text, code: text }) }),
+  async (req, res, next) => {
+    try {
+      const { challengeToken, code } = req.body;
+
+      const userId = verifyChallengeToken(challengeToken);
+      const user =
+        userId && (await Editor.findById(userId).select(TWO_FACTOR_SECRETS));
+      if (!user) {
+        return res
+          .status(401)
+          .json({ message: "Login challenge is invalid or has expired" });
+      }
+
+      // wrong codes count as failed logins, so guessing gets throttled
+      if (await rejectThrottled(req, res, user.email)) return;
+
+      if (user.status === "suspended") {
+        return res
+          .status(403)
+          .json({ message: "Account suspended", code: "account_suspended" });
+      }
+
+      const method = useSecondFactor(user, code);
+      if (!method) {
+        await recordLoginFailure(user.email, req.ip);
+        await recordAudit(req, {
+          action: "auth.login_failed",
+          target: { type: "editor", id: user._id, label: user.email },
+          meta: { email: user.email, reason: "two_factor" },
+        });
+        return res.status(401).json({ message: "Invalid code" });
+      }
+      await user.save();
+
+      await completeLogin(req, res, user, {
+        meta: { twoFactor: method },
+        // so the client can warn when they run low
+        extra:
+          method === "recovery"
+            ? { recoveryCodesLeft: user.twoFactor.recoveryCodes.length }
+            : undefined,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken } → new { token, refreshToken } (old one stops working)
+ */
+router.post(
+  "/refresh",
+  validate({ body: z.object({ refreshToken: text }) }),
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const rotated = await rotateSession(refreshToken, req);
+      if (!rotated) {
+        return res.status(401).json({ message: "Invalid or expired session" });
+      }
+
+      res.json({ token: rotated.token, refreshToken: rotated.refreshToken });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/logout
+ * Body: { refreshToken } — or send the access token to end that session
+ */
+router.post(
+  "/logout",
+  validate({ body: z.object({ refreshToken: z.string().optional() }) }),
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken) return next(); // fall through to the access token
+
+      await revokeByRefreshToken(refreshToken);
+      res.json({ message: "Logged out" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.post("/logout", authMiddleware, async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    await revokeSession(req.user.sid, req.user.id);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const user = await Editor.findOne({ email: email.toLowerCase() });
-    if (!user) return res.status(401).json({ message: "Invalid credentials" });
+/**
+ * POST /api/auth/password-reset/request
+ * Body: { email } — mails a single-use reset link.
+ * Always answers the same, so it can't be used to probe for accounts.
+ */
+router.post(
+  "/password-reset/request",
+  validate({ body: z.object({ email }) }),
+  async (req, res, next) => {
+    try {
+      const user = await Editor.findOne({ email: req.body.email });
+      if (user && user.status !== "suspended") {
+        await sendPasswordReset(user).catch((err) =>
+          console.error("Password reset mail error:", err)
+        );
+      }
+
+      res.json({
+        message:
+          "If that email belongs to an account, a reset link is on its way",
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/password-reset/confirm
+ * Body: { token, newPassword } — sets the password, logs out all sessions
+ */
+router.post(
+  "/password-reset/confirm",
+  validate({ body: z.object({ token: text, newPassword }) }),
+  async (req, res, next) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      const editor = await resetPasswordWithToken(token, newPassword);
+      if (!editor) {
+        return res
+          .status(400)
+          .json({ message: "Reset link is invalid or has expired" });
+      }
+
+      await recordAudit(req, {
+        action: "auth.password_reset",
+        actor: { id: editor._id, email: editor.email },
+        target: { type: "editor", id: editor._id, label: editor.email },
+      });
+
+      res.json({ message: "Password has been reset, please log in" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/invitations/lookup
+ * Body: { token } → { email, role, expiresAt } of an open invitation, for
+ * the accept form (the token stays out of URLs and logs)
+ */
+router.post(
+  "/invitations/lookup",
+  validate({ body: z.object({ token: text }) }),
+  async (req, res, next) => {
+    try {
+      const invitation = await findOpenInvitation(req.body.token);
+      if (!invitation) {
+        return res
+          .status(404)
+          .json({ message: "Invitation is invalid or has expired" });
+      }
+
+      res.json({
+        invitation: {
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
-    const match = await comparePassword(password, user.password);
-    if (!match)
-      return res.status(401).json({ message: "Invalid credentials" });
+/**
+ * POST /api/auth/invitations/accept
+ * Body: { token, name, password } — creates the account and logs it in
+ * (same response as /login)
+ */
+router.post(
+  "/invitations/accept",
+  validate({
+    body: z.object({ token: text, name: text, password: newPassword }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { token, name, password } = req.body;
 
-    const token = generateToken(user);
+      const { error, editor, invitation } = await acceptInvitation(token, {
+        name,
+        password,
+      });
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      await recordAudit(req, {
+        action: "invitation.accept",
+        actor: { id: editor._id, email: editor.email },
+        target: {
+          type: "invitation",
+          id: invitation._id,
+          label: invitation.email,
+        },
+        after: { editor: String(editor._id), role: editor.role },
+      });
+
+      const session = await createSession(editor, req);
+
+      res.status(201).json({
+        token: session.token,
+        refreshToken: session.refreshToken,
+        user: {
+          id: editor._id,
+          email: editor.email,
+          role: editor.role,
+          name: editor.name,
+          mustChangePassword: false,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  TWO-FACTOR AUTHENTICATION (own account)                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/auth/2fa
+ * { enabled, enabledAt, recoveryCodesLeft, required } for the current user
+ */
+router.get("/2fa", authMiddleware, async (req, res, next) => {
+  try {
+    const editor = await Editor.findById(req.user.id).select(
+      "role twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes"
+    );
+    if (!editor) {
+      return res.status(404).json({ message: "Editor not found" });
+    }
+
+    const { enabled, enabledAt, recoveryCodes } = editor.twoFactor;
+    res.json({
+      enabled,
+      enabledAt,
+      recoveryCodesLeft: enabled ? recoveryCodes?.length ?? 0 : undefined,
+      required: (await twoFactorRequiredRoles()).includes(editor.role),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrolment → { secret, otpauthUri } for the authenticator app.
+ * Nothing changes for logins until POST /api/auth/2fa/confirm.
+ */
+router.post("/2fa/setup", authMiddleware, async (req, res, next) => {
+  try {
+    const editor = await Editor.findById(req.user.id);
+    if (!editor) {
+      return res.status(404).json({ message: "Editor not found" });
+    }
+    if (editor.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, otpauthUri } = startEnrollment(editor);
+    await editor.save();
+
+    res.json({ secret, otpauthUri });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/confirm
+ * Body: { code } — first code from the app; enables 2FA and returns the
+ * recovery codes (shown once, each works once)
+ */
+router.post(
+  "/2fa/confirm",
+  authMiddleware,
+  validate({ body: codeBody }),
+  async (req, res, next) => {
+    try {
+      const editor = await Editor.findById(req.user.id).select(
+        "+twoFactor.pendingSecret"
+      );
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
+      if (editor.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is already enabled" });
+      }
+
+      const recoveryCodes = confirmEnrollment(editor, req.body.code);
+      if (!recoveryCodes) {
+        return res
+          .status(400)
+          .json({ message: "Invalid code, or setup was not started" });
+      }
+      await editor.save();
+
+      await recordAudit(req, {
+        action: "auth.2fa_enable",
+        target: { type: "editor", id: editor._id, label: editor.email },
+      });
+
+      res.json({
+        message: "Two-factor authentication enabled",
+        recoveryCodes,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Body: { code } — a current code from the app; replaces the recovery
+ * codes (the old ones stop working)
+ */
+router.post(
+  "/2fa/recovery-codes",
+  authMiddleware,
+  validate({ body: codeBody }),
+  async (req, res, next) => {
+    try {
+      const editor = await Editor.findById(req.user.id).select(
+        TWO_FACTOR_SECRETS
+      );
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
+
+      if (useSecondFactor(editor, req.body.code) !== "totp") {
+        return res.status(400).json({ message: "Invalid code" });
+      }
+      const recoveryCodes = regenerateRecoveryCodes(editor);
+      await editor.save();
+
+      await recordAudit(req, {
+        action: "auth.2fa_recovery_codes",
+        target: { type: "editor", id: editor._id, label: editor.email },
+      });
+
+      res.json({ message: "New recovery codes", recoveryCodes });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/2fa
+ * Body: { password, code } — turn 2FA off (not for roles that require it)
+ */
+router.delete(
+  "/2fa",
+  authMiddleware,
+  validate({ body: z.object({ password, code: text }) }),
+  async (req, res, next) => {
+    try {
+      const editor = await Editor.findById(req.user.id).select(
+        TWO_FACTOR_SECRETS
+      );
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
+      if (!editor.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+      if ((await twoFactorRequiredRoles()).includes(editor.role)) {
+        return res.status(400).json({
+          message: `Two-factor authentication is required for ${editor.role}`,
+        });
+      }
+
+      const passwordOk = await comparePassword(
+        req.body.password,
+        editor.password
+      );
+      if (!passwordOk || !useSecondFactor(editor, req.body.code)) {
+        return res
+          .status(400)
+          .json({ message: "Password or code is incorrect" });
+      }
+
+      disableTwoFactor(editor);
+      await editor.save();
+
+      await recordAudit(req, {
+        action: "auth.2fa_disable",
+        target: { type: "editor", id: editor._id, label: editor.email },
+      });
+
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions (devices) of the current user
+ */
+router.get("/sessions", authMiddleware, async (req, res, next) => {
+  try {
+    const sessions = await Session.find(
+      activeSessionFilter({ user: req.user.id })
+    )
+      .sort({ lastUsedAt: -1 })
+      .select("userAgent ip createdAt lastUsedAt expiresAt");
 
     res.json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        name: user.name,
-      },
+      sessions: sessions.map((s) => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.user.sid),
+      })),
     });
   } catch (err) {
-    console.error("Login error:", err.message);
-    res.status(500).json({ message: "Server error" });
+    next(err);
   }
 });
 
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions (log that device out)
+ */
+router.delete(
+  "/sessions/:id",
+  authMiddleware,
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const revoked = await revokeSession(req.params.id, req.user.id);
+      if (!revoked) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+      res.json({ message: "Session revoked" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 export default router;
@@ -1,202 +1,879 @@
 // backend/routes/editorRoutes.js
 import express from "express";
-import Article from "../models/Article.js";
+import Article, { ARTICLE_STATUSES } from "../models/Article.js";
 import Editor from "../models/Editor.js";
-import { authMiddleware } from "../middleware/auth.js";
+import { authMiddleware, authorize } from "../middleware/auth.js";
+import {
+  validate,
+  z,
+  objectId,
+  idParams,
+  limit,
+  cursor,
+  date,
+  nullableDate,
+  stringList,
+  text,
+  email,
+  password,
+  newPassword,
+  authorProfile,
+} from "../middleware/validate.js";
 import { hashPassword, comparePassword } from "../config/auth.js";
+import { CAPABILITIES, can } from "../config/permissions.js";
+import ArticleRevision from "../models/ArticleRevision.js";
+import { applyPublishing } from "../utils/publishing.js";
+import { isLockedFor } from "../utils/workflow.js";
+import { listCommentThread, addComment } from "../utils/reviewComments.js";
+import { createSession, revokeAllSessions } from "../utils/sessions.js";
+import { recordAudit, summarize } from "../utils/audit.js";
+import { REVISION_FIELDS } from "../models/ArticleRevision.js";
+import { resolveImage, PUBLIC_MEDIA_FIELDS } from "../utils/media.js";
+import { resolveCategories } from "../utils/categories.js";
+import { parseTags, tagCounts } from "../utils/tags.js";
+import {
+  resolveCoAuthors,
+  resolveContributors,
+  applyAuthorProfile,
+  publicProfileChanged,
+} from "../utils/authors.js";
+import { articleViewStats, totalViews } from "../utils/views.js";
+import { toCsv, sendCsv } from "../utils/csv.js";
+import {
+  ANALYTICS_INTERVALS,
+  analyticsRange,
+  authorScope,
+  publishedSeries,
+  publishTimes,
+  publishTimesCsvRows,
+  PUBLISH_TIMES_CSV_COLUMNS,
+} from "../utils/analytics.js";
+import { trackPublicChange, invalidatePublic } from "../utils/publicCache.js";
+import { populateWithDeleted } from "../utils/softDelete.js";
+import {
+  TRASH_RETENTION_DAYS,
+  IN_TRASH,
+  trashPage,
+  purgeDate,
+  canTrash,
+  trashArticle,
+  restoreArticle,
+} from "../utils/trash.js";
+import {
+  saveWithRevision,
+  diffRevisions,
+  restoreRevision,
+} from "../utils/revisions.js";
 
 const router = express.Router();
 
-function normalizeCategories(input) {
-  let cats = [];
+const {
+  ARTICLE_CREATE,
+  ARTICLE_EDIT_OWN,
+  ARTICLE_VIEW_ANY,
+  ARTICLE_EDIT_ANY,
+  ARTICLE_REVIEW,
+  ARTICLE_DELETE,
+} = CAPABILITIES;
 
-  if (Array.isArray(input)) {
-    cats = input;
-  } else if (typeof input === "string" && input.trim()) {
-    cats = input
-      .split(",")
-      .map((c) => c.trim())
-      .filter(Boolean);
-  }
+/**
+ * Load article :id if the current user may use it: their own with `own`,
+ * anybody else's with `any` (category-scoped for section editors).
+ * Returns null otherwise, answered as 404 so other drafts don't leak.
+ */
+async function findArticleFor(req, own, any) {
+  const article = await Article.findById(req.params.id);
+  if (!article) return null;
 
-  // lowercase + trim
-  cats = cats.map((c) => c.toLowerCase().trim());
+  const isOwn = String(article.author) === req.user.id;
+  const allowed = isOwn ? can(req.user, own) : can(req.user, any, article);
+  return allowed ? article : null;
+}
 
-  // remove duplicates
-  cats = [...new Set(cats)];
+// staff (editor id) or an outside name, and what they did
+const contributor = z
+  .object({
+    editor: objectId.optional(),
+    name: z.string().trim().optional(),
+    role: text,
+  })
+  .refine((c) => c.editor || c.name, "editor or name is required");
 
-  // fallback default if empty
-  if (!cats.length) {
-    cats = ["latest"];
-  }
+// article fields for create / update; categories, tags, image and credits
+// are checked against the database by their resolvers
+const articleBody = z.object({
+  title: text.optional(),
+  summary: z.string().optional(),
+  content: text.optional(),
+  categories: stringList.optional(),
+  tags: stringList.optional(),
+  image: z.union([objectId, z.literal(""), z.null()]).optional(),
+  imageUrl: z.string().optional(),
+  source: z.string().optional(),
+  coAuthors: z.array(objectId).optional(),
+  contributors: z.array(contributor).optional(),
+  status: z.enum(ARTICLE_STATUSES).optional(),
+  scheduledAt: nullableDate.optional(),
+  expiresAt: nullableDate.optional(),
+});
 
-  return cats;
-}
+const revisionParams = z.object({
+  id: objectId,
+  number: z.coerce.number().int().min(1),
+});
 
 /**
  * POST /api/editor/articles
  * Create a new article for the logged-in editor
  */
-router.post("/articles", authMiddleware, async (req, res) => {
-  try {
-    const {
-      title,
-      summary,
-      content,
-      categories,
-      imageUrl,
-      source,
-      status,
-    } = req.body;
-
-    if (!title || !content) {
-      return res
-        .status(400)
-        .json({ message: "Title and content are required" });
-    }
+router.post(
+  "/articles",
+  authMiddleware,
+  authorize(ARTICLE_CREATE),
+  validate({ body: articleBody.extend({ title: text, content: text }) }),
+  async (req, res, next) => {
+    try {
+      const {
+        title,
+        summary,
+        content,
+        categories,
+        tags,
+        image,
+        imageUrl,
+        source,
+        coAuthors,
+        contributors,
+        status,
+        scheduledAt,
+        expiresAt,
+      } = req.body;
 
-    const cats = normalizeCategories(categories);
-
-    const article = await Article.create({
-      title,
-      summary: summary || "",
-      content,
-      categories: cats,
-      imageUrl: imageUrl || "",
-      source: source || "",
-      status: status || "draft",
-      author: req.user.id,
-      publishedAt: status === "published" ? new Date() : undefined,
-    });
+      const cats = await resolveCategories(categories);
+      if (cats.error) {
+        return res.status(400).json({ message: cats.error });
+      }
 
-    res.status(201).json({
-      message: "Article created successfully",
-      article,
-    });
-  } catch (err) {
-    console.error("Create article error:", err);
-    res.status(500).json({ message: "Server error" });
+      const parsedTags = parseTags(tags);
+      if (parsedTags.error) {
+        return res.status(400).json({ message: parsedTags.error });
+      }
+
+      const resolved = await resolveImage(image ?? null);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+
+      const byline = await resolveCoAuthors(coAuthors, req.user.id);
+      if (byline.error) {
+        return res.status(400).json({ message: byline.error });
+      }
+      const credits = await resolveContributors(contributors);
+      if (credits.error) {
+        return res.status(400).json({ message: credits.error });
+      }
+
+      const article = new Article({
+        title,
+        summary: summary || "",
+        content,
+        categories: cats.categories,
+        tags: parsedTags.tags,
+        image: resolved.image,
+        imageUrl: imageUrl || "",
+        source: source || "",
+        author: req.user.id,
+        coAuthors: byline.coAuthors,
+        contributors: credits.contributors,
+      });
+      const invalidate = trackPublicChange(article);
+
+      const publishError = applyPublishing(
+        article,
+        { status: status || "draft", scheduledAt, expiresAt },
+        { user: req.user }
+      );
+      if (publishError) {
+        return res.status(400).json({ message: publishError });
+      }
+
+      await saveWithRevision(article, req.user.id);
+      await invalidate();
+
+      await recordAudit(req, {
+        action: "article.create",
+        target: { type: "article", id: article._id, label: article.title },
+        after: summarize(article, ["title", "status", "categories"]),
+      });
+
+      res.status(201).json({
+        message: "Article created successfully",
+        article,
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 
 /**
  * PUT /api/editor/articles/:id
- * Update an existing article for the logged-in editor
+ * Update own article (or anyone's with article.edit_any)
  */
-router.put("/articles/:id", authMiddleware, async (req, res) => {
-  try {
-    const {
-      title,
-      summary,
-      content,
-      categories,
-      imageUrl,
-      source,
-      status,
-    } = req.body;
-
-    const article = await Article.findOne({
-      _id: req.params.id,
-      author: req.user.id,
-    });
+router.put(
+  "/articles/:id",
+  authMiddleware,
+  validate({ params: idParams, body: articleBody }),
+  async (req, res, next) => {
+    try {
+      const {
+        title,
+        summary,
+        content,
+        categories,
+        tags,
+        image,
+        imageUrl,
+        source,
+        coAuthors,
+        contributors,
+        status,
+        scheduledAt,
+        expiresAt,
+      } = req.body;
 
-    if (!article) {
-      return res.status(404).json({ message: "Article not found" });
-    }
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_EDIT_ANY
+      );
+
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const before = summarize(article, ["title", "status"]);
+      const invalidate = trackPublicChange(article);
+
+      const editsContent = [
+        title,
+        summary,
+        content,
+        categories,
+        tags,
+        image,
+        imageUrl,
+        source,
+        coAuthors,
+        contributors,
+      ].some((value) => value !== undefined);
+
+      if (editsContent && isLockedFor(req.user, article)) {
+        return res.status(400).json({
+          message: `Article is ${article.status} and can no longer be edited`,
+        });
+      }
+
+      if (title !== undefined) article.title = title;
+      if (summary !== undefined) article.summary = summary;
+      if (content !== undefined) article.content = content;
+      if (imageUrl !== undefined) article.imageUrl = imageUrl;
+      if (source !== undefined) article.source = source;
+
+      if (image !== undefined) {
+        const resolved = await resolveImage(image);
+        if (resolved.error) {
+          return res.status(400).json({ message: resolved.error });
+        }
+        article.image = resolved.image;
+      }
+
+      if (categories !== undefined) {
+        const cats = await resolveCategories(categories, article.categories);
+        if (cats.error) {
+          return res.status(400).json({ message: cats.error });
+        }
+        article.categories = cats.categories;
+      }
 
-    if (title !== undefined) article.title = title;
-    if (summary !== undefined) article.summary = summary;
-    if (content !== undefined) article.content = content;
-    if (imageUrl !== undefined) article.imageUrl = imageUrl;
-    if (source !== undefined) article.source = source;
+      if (tags !== undefined) {
+        const parsed = parseTags(tags);
+        if (parsed.error) {
+          return res.status(400).json({ message: parsed.error });
+        }
+        article.tags = parsed.tags;
+      }
+
+      if (coAuthors !== undefined) {
+        const byline = await resolveCoAuthors(coAuthors, article.author);
+        if (byline.error) {
+          return res.status(400).json({ message: byline.error });
+        }
+        article.coAuthors = byline.coAuthors;
+      }
+
+      if (contributors !== undefined) {
+        const credits = await resolveContributors(contributors);
+        if (credits.error) {
+          return res.status(400).json({ message: credits.error });
+        }
+        article.contributors = credits.contributors;
+      }
+
+      const publishError = applyPublishing(
+        article,
+        { status, scheduledAt, expiresAt },
+        { user: req.user }
+      );
+      if (publishError) {
+        return res.status(400).json({ message: publishError });
+      }
+
+      // credits are not part of revisions, but worth an audit entry
+      const changed = [...REVISION_FIELDS, "coAuthors", "contributors"].filter(
+        (f) => article.isModified(f)
+      );
+      const statusChanged = article.isModified("status");
 
-    if (categories !== undefined) {
-      const cats = normalizeCategories(categories);
-      article.categories = cats;
+      await saveWithRevision(article, req.user.id);
+      await invalidate();
+
+      if (changed.length) {
+        await recordAudit(req, {
+          action: "article.update",
+          target: { type: "article", id: article._id, label: article.title },
+          before,
+          after: { ...summarize(article, ["title", "status"]), changed },
+        });
+      }
+      if (statusChanged) {
+        await recordAudit(req, {
+          action: "article.status",
+          target: { type: "article", id: article._id, label: article.title },
+          before: { status: before.status },
+          after: summarize(article, ["status", "publishedAt", "scheduledAt"]),
+        });
+      }
+
+      res.json({
+        message: "Article updated successfully",
+        article,
+      });
+    } catch (err) {
+      next(err);
     }
+  }
+);
+
 
-    if (status !== undefined) {
-      const allowed = ["draft", "in_review", "published"];
-      if (!allowed.includes(status)) {
-        return res.status(400).json({ message: "Invalid status value" });
+/**
+ * DELETE /api/editor/articles/:id
+ * Move an article to the trash: own articles while they can still be
+ * edited, anyone's with article.delete. Restorable until it is purged
+ * after TRASH_RETENTION_DAYS.
+ */
+router.delete(
+  "/articles/:id",
+  authMiddleware,
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_DELETE
+      );
+
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
       }
-      article.status = status;
-      if (status === "published" && !article.publishedAt) {
-        article.publishedAt = new Date();
+      if (!canTrash(req.user, article)) {
+        return res.status(400).json({
+          message: `Article is ${article.status} and can no longer be deleted`,
+        });
       }
+
+      await trashArticle(article, req.user.id);
+
+      await recordAudit(req, {
+        action: "article.trash",
+        target: { type: "article", id: article._id, label: article.title },
+        before: summarize(article, ["title", "status", "author"]),
+      });
+
+      res.json({
+        message: "Article moved to the trash",
+        purgeAt: purgeDate(article),
+      });
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    await article.save();
+/**
+ * GET /api/editor/trash
+ * Own trashed articles, most recently deleted first, each with the date
+ * it will be purged
+ * Query: limit? (default 20, max 100), cursor?
+ */
+router.get(
+  "/trash",
+  authMiddleware,
+  validate({
+    query: z.object({ limit: limit({ def: 20, max: 100 }), cursor }),
+  }),
+  async (req, res, next) => {
+    try {
+      const page = await trashPage(
+        Article,
+        { author: req.user.id },
+        { ...req.query, select: "title slug status categories deletedAt" }
+      );
+      if (!page) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
 
-    res.json({
-      message: "Article updated successfully",
-      article,
-    });
-  } catch (err) {
-    console.error("Update article error:", err);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        articles: page.items,
+        nextCursor: page.nextCursor,
+        retentionDays: TRASH_RETENTION_DAYS,
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
+
+/**
+ * POST /api/editor/trash/:id/restore
+ * Take an article out of the trash, under the same rule as deleting it
+ */
+router.post(
+  "/trash/:id/restore",
+  authMiddleware,
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const article = await Article.findOne({
+        _id: req.params.id,
+        ...IN_TRASH,
+      });
+      if (!article || !canTrash(req.user, article)) {
+        return res.status(404).json({ message: "Article not in the trash" });
+      }
 
+      await restoreArticle(article);
+
+      await recordAudit(req, {
+        action: "article.trash_restore",
+        target: { type: "article", id: article._id, label: article.title },
+        after: summarize(article, ["title", "status", "author"]),
+      });
+
+      res.json({ message: "Article restored", article });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
 /**
  * GET /api/editor/articles
  * List articles for logged-in editor
  */
-router.get("/articles", authMiddleware, async (req, res) => {
-  try {
-    const { status, limit } = req.query;
+router.get(
+  "/articles",
+  authMiddleware,
+  validate({
+    query: z.object({
+      status: z.enum(ARTICLE_STATUSES).optional(),
+      limit: z.coerce.number().int().min(1).optional(),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, limit } = req.query;
 
-    const filter = { author: req.user.id };
-    if (status) filter.status = status;
+      const filter = { author: req.user.id };
+      if (status) filter.status = status;
 
-    const query = Article.find(filter).sort({ updatedAt: -1 });
-    if (limit) query.limit(parseInt(limit, 10));
+      const query = Article.find(filter).sort({ updatedAt: -1 });
+      if (limit) query.limit(limit);
 
-    const articles = await query.exec();
-    res.json({ articles });
-  } catch (err) {
-    console.error("List articles error:", err);
-    res.status(500).json({ message: "Server error" });
+      const articles = await query.exec();
+      res.json({ articles });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 /**
  * ✅ NEW: GET /api/editor/articles/:id
- * Get a single article for the logged-in editor
+ * Get a single article (own, or anyone's with article.view_any)
  */
-router.get("/articles/:id", authMiddleware, async (req, res) => {
-  try {
-    const article = await Article.findOne({
-      _id: req.params.id,
-      author: req.user.id,
-    });
+router.get(
+  "/articles/:id",
+  authMiddleware,
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_VIEW_ANY
+      );
 
-    if (!article) {
-      return res.status(404).json({ message: "Article not found" });
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      await article.populate("image", PUBLIC_MEDIA_FIELDS);
+      res.json({ article });
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    res.json({ article });
-  } catch (err) {
-    console.error("Get single article error:", err);
-    res.status(500).json({ message: "Server error" });
+/**
+ * GET /api/editor/articles/:id/stats?days=30
+ * Reader views: all-time total, per day (default 30, max 90) and per hour
+ * for the last 24 hours
+ */
+router.get(
+  "/articles/:id/stats",
+  authMiddleware,
+  validate({
+    params: idParams,
+    query: z.object({ days: limit({ def: 30, max: 90 }) }),
+  }),
+  async (req, res, next) => {
+    try {
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_VIEW_ANY
+      );
+
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const stats = await articleViewStats(article._id, {
+        days: req.query.days,
+      });
+      res.json({ article: article._id, ...stats });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
+
+/**
+ * GET /api/editor/tags?q=cli
+ * Tag autocomplete over all articles, most used first
+ */
+router.get(
+  "/tags",
+  authMiddleware,
+  validate({ query: z.object({ q: z.string().optional() }) }),
+  async (req, res, next) => {
+    try {
+      const tags = await tagCounts({}, { prefix: req.query.q, limit: 10 });
+      res.json({ tags });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  REVISIONS                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/editor/articles/:id/revisions
+ * Revision list (newest first, without content)
+ */
+router.get(
+  "/articles/:id/revisions",
+  authMiddleware,
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_VIEW_ANY
+      );
+
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const revisions = await ArticleRevision.find({ article: article._id })
+        .sort({ number: -1 })
+        .select("-content")
+        .populate(populateWithDeleted("editedBy", "name"));
+
+      res.json({ revisions });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/editor/articles/:id/revisions/diff?from=1&to=3
+ * Field-level diff between two revisions (to defaults to the latest)
+ */
+router.get(
+  "/articles/:id/revisions/diff",
+  authMiddleware,
+  validate({
+    params: idParams,
+    query: z.object({
+      from: z.coerce.number().int().min(1),
+      to: z.coerce.number().int().min(1).optional(),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { from, to } = req.query;
+
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_VIEW_ANY
+      );
+
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const [fromRev, toRev] = await Promise.all([
+        ArticleRevision.findOne({ article: article._id, number: from }),
+        to === undefined
+          ? ArticleRevision.findOne({ article: article._id }).sort({
+              number: -1,
+            })
+          : ArticleRevision.findOne({ article: article._id, number: to }),
+      ]);
+
+      if (!fromRev || !toRev) {
+        return res.status(404).json({ message: "Revision not found" });
+      }
+
+      res.json({
+        from: fromRev.number,
+        to: toRev.number,
+        changes: diffRevisions(fromRev, toRev),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/editor/articles/:id/revisions/:number
+ * Full content of one revision
+ */
+router.get(
+  "/articles/:id/revisions/:number",
+  authMiddleware,
+  validate({ params: revisionParams }),
+  async (req, res, next) => {
+    try {
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_VIEW_ANY
+      );
+
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const revision = await ArticleRevision.findOne({
+        article: article._id,
+        number: req.params.number,
+      }).populate(populateWithDeleted("editedBy", "name"));
+
+      if (!revision) {
+        return res.status(404).json({ message: "Revision not found" });
+      }
+
+      res.json({ revision });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/editor/articles/:id/revisions/:number/restore
+ * Restore an older revision as the current draft
+ */
+router.post(
+  "/articles/:id/revisions/:number/restore",
+  authMiddleware,
+  validate({ params: revisionParams }),
+  async (req, res, next) => {
+    try {
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_EDIT_ANY
+      );
+
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      if (isLockedFor(req.user, article)) {
+        return res.status(400).json({
+          message: `Article is ${article.status} and can no longer be edited`,
+        });
+      }
+
+      const revision = await ArticleRevision.findOne({
+        article: article._id,
+        number: req.params.number,
+      });
+
+      if (!revision) {
+        return res.status(404).json({ message: "Revision not found" });
+      }
+
+      const before = summarize(article, ["title", "status"]);
+      const invalidate = trackPublicChange(article);
+      await restoreRevision(article, revision, req.user.id);
+      await invalidate();
+
+      await recordAudit(req, {
+        action: "article.restore",
+        target: { type: "article", id: article._id, label: article.title },
+        before,
+        after: summarize(article, ["title", "status"]),
+        meta: { revision: revision.number },
+      });
+
+      res.json({
+        message: `Revision ${revision.number} restored as draft`,
+        article,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  REVIEW COMMENTS                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/editor/articles/:id/comments
+ * Review comment thread (plus the last review decision)
+ */
+router.get(
+  "/articles/:id/comments",
+  authMiddleware,
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_VIEW_ANY
+      );
+
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+      await article.populate(populateWithDeleted("review.reviewer", "name"));
+
+      const comments = await listCommentThread(article._id);
+      res.json({ status: article.status, review: article.review, comments });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/editor/articles/:id/comments
+ * Comment as author or reviewer (article.review). Body: { body, parentId? }
+ */
+router.post(
+  "/articles/:id/comments",
+  authMiddleware,
+  validate({
+    params: idParams,
+    body: z.object({ body: text, parentId: objectId.optional() }),
+  }),
+  async (req, res, next) => {
+    try {
+      const article = await findArticleFor(
+        req,
+        ARTICLE_EDIT_OWN,
+        ARTICLE_REVIEW
+      );
+
+      if (!article) {
+        return res.status(404).json({ message: "Article not found" });
+      }
+
+      const { body, parentId } = req.body;
+      const { error, comment } = await addComment(article, req.user.id, {
+        body,
+        parentId,
+      });
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      res.status(201).json({ message: "Comment added", comment });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
 /**
  * GET /api/editor/overview
  * Stats for dashboard
  */
-router.get("/overview", authMiddleware, async (req, res) => {
+router.get("/overview", authMiddleware, async (req, res, next) => {
   try {
     const author = req.user.id;
+    const weekAgo = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000);
 
-    const [total, drafts, published, inReview] = await Promise.all([
+    const [
+      total,
+      drafts,
+      published,
+      inReview,
+      scheduled,
+      changesRequested,
+      approved,
+      viewsLast7Days,
+    ] = await Promise.all([
       Article.countDocuments({ author }),
       Article.countDocuments({ author, status: "draft" }),
       Article.countDocuments({ author, status: "published" }),
       Article.countDocuments({ author, status: "in_review" }),
+      Article.countDocuments({ author, status: "scheduled" }),
+      Article.countDocuments({ author, status: "changes_requested" }),
+      Article.countDocuments({ author, status: "approved" }),
+      // reader views of own articles, today and the 6 days before
+      Article.find({ author })
+        .distinct("_id")
+        .then((ids) => totalViews(ids, weekAgo)),
     ]);
 
     res.json({
@@ -204,108 +881,220 @@ router.get("/overview", authMiddleware, async (req, res) => {
       drafts,
       published,
       inReview,
+      scheduled,
+      changesRequested,
+      approved,
+      viewsLast7Days,
     });
   } catch (err) {
-    console.error("Overview error:", err);
-    res.status(500).json({ message: "Server error" });
+    next(err);
   }
 });
 
+const analyticsQuery = z.object({
+  from: date.optional(),
+  to: date.optional(),
+  interval: z.enum(ANALYTICS_INTERVALS).default("day"),
+});
+
+/**
+ * GET /api/editor/analytics
+ * Own output over time: articles published per period and median publish
+ * times (see GET /api/admin/analytics/*)
+ * Query: from?, to? (default the last 30 days), interval? = day | week | month
+ */
+router.get(
+  "/analytics",
+  authMiddleware,
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      const scope = authorScope(req.user.id);
+      const [published, times] = await Promise.all([
+        publishedSeries(scope, range),
+        publishTimes(scope, range),
+      ]);
+
+      res.json({
+        interval: range.interval,
+        from: range.from,
+        to: range.to,
+        periods: published.periods,
+        published: published.series[0].counts,
+        totalPublished: published.total,
+        creationToPublish: times.overall.creationToPublish,
+        reviewToPublish: times.overall.reviewToPublish,
+        publishTimes: times.periods,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/editor/analytics/export.csv
+ * GET /analytics per period, as CSV
+ */
+router.get(
+  "/analytics/export.csv",
+  authMiddleware,
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      if (range.error) return res.status(400).json({ message: range.error });
+
+      const times = await publishTimes(authorScope(req.user.id), range);
+      const csv = toCsv(publishTimesCsvRows(times), PUBLISH_TIMES_CSV_COLUMNS);
+      sendCsv(res, "my-output.csv", csv);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 /**
  * GET /api/editor/me
- * Current editor profile
+ * Current editor profile, with the public author profile fields
  */
-router.get("/me", authMiddleware, async (req, res) => {
+router.get("/me", authMiddleware, async (req, res, next) => {
   try {
-    const editor = await Editor.findById(req.user.id).select(
-      "name email role createdAt"
-    );
+    const editor = await Editor.findById(req.user.id)
+      .select("name email role slug bio avatar links createdAt")
+      .populate("avatar", PUBLIC_MEDIA_FIELDS);
     if (!editor) {
       return res.status(404).json({ message: "Editor not found" });
     }
     res.json({ editor });
   } catch (err) {
-    console.error("Get profile error:", err);
-    res.status(500).json({ message: "Server error" });
+    next(err);
   }
 });
 
 /**
  * PUT /api/editor/me
- * Update name / email for current editor
+ * Update name / email and the public author profile of the current editor
+ * Body: { name?, email?, bio?, avatar? (media id, null to remove),
+ *         links?: [{ label, url }] }
  */
-router.put("/me", authMiddleware, async (req, res) => {
-  try {
-    const { name, email } = req.body;
-    const editor = await Editor.findById(req.user.id);
-    if (!editor) {
-      return res.status(404).json({ message: "Editor not found" });
-    }
+router.put(
+  "/me",
+  authMiddleware,
+  validate({
+    body: authorProfile.extend({
+      name: text.optional(),
+      email: email.optional(),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { name, email } = req.body;
+      const editor = await Editor.findById(req.user.id);
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
 
-    if (email && email !== editor.email) {
-      const existing = await Editor.findOne({
-        email,
-        _id: { $ne: editor._id },
-      });
-      if (existing) {
-        return res
-          .status(400)
-          .json({ message: "Email is already in use by another user" });
+      if (email && email !== editor.email) {
+        const existing = await Editor.findOne({
+          email,
+          _id: { $ne: editor._id },
+        }).setOptions({ withDeleted: true });
+        if (existing) {
+          return res
+            .status(400)
+            .json({ message: "Email is already in use by another user" });
+        }
+        editor.email = email;
       }
-      editor.email = email;
-    }
 
-    if (name) editor.name = name;
+      if (name) editor.name = name;
+      const profileError = await applyAuthorProfile(editor, req.body);
+      if (profileError) {
+        return res.status(400).json({ message: profileError });
+      }
+      const profileChanged = publicProfileChanged(editor);
 
-    await editor.save();
+      await editor.save();
+      // bylines and the author page show these
+      if (profileChanged) await invalidatePublic(`author:${editor._id}`);
 
-    res.json({
-      message: "Profile updated successfully",
-      editor: {
-        id: editor._id,
-        name: editor.name,
-        email: editor.email,
-        role: editor.role,
-      },
-    });
-  } catch (err) {
-    console.error("Update profile error:", err);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        message: "Profile updated successfully",
+        editor: {
+          id: editor._id,
+          name: editor.name,
+          email: editor.email,
+          role: editor.role,
+          slug: editor.slug,
+          bio: editor.bio,
+          avatar: editor.avatar,
+          links: editor.links,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 /**
  * PUT /api/editor/change-password
- * Change password for current editor
+ * Change password for current editor (the only route open while
+ * mustChangePassword is set; this clears it).
+ * Ends all sessions; the response carries new tokens for this device.
  */
-router.put("/change-password", authMiddleware, async (req, res) => {
-  try {
-    const { currentPassword, newPassword } = req.body;
+router.put(
+  "/change-password",
+  authMiddleware,
+  validate({ body: z.object({ currentPassword: password, newPassword }) }),
+  async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res
-        .status(400)
-        .json({ message: "Current and new password are required" });
-    }
+      const editor = await Editor.findById(req.user.id);
+      if (!editor) {
+        return res.status(404).json({ message: "Editor not found" });
+      }
 
-    const editor = await Editor.findById(req.user.id);
-    if (!editor) {
-      return res.status(404).json({ message: "Editor not found" });
-    }
+      const matches = await comparePassword(currentPassword, editor.password);
+      if (!matches) {
+        return res
+          .status(400)
+          .json({ message: "Current password is incorrect" });
+      }
 
-    const matches = await comparePassword(currentPassword, editor.password);
-    if (!matches) {
-      return res.status(400).json({ message: "Current password is incorrect" });
-    }
+      if (await comparePassword(newPassword, editor.password)) {
+        return res
+          .status(400)
+          .json({ message: "New password must differ from the current one" });
+      }
 
-    editor.password = await hashPassword(newPassword);
-    await editor.save();
+      editor.password = await hashPassword(newPassword);
+      editor.mustChangePassword = false;
+      await editor.save();
 
-    res.json({ message: "Password updated successfully" });
-  } catch (err) {
-    console.error("Change password error:", err);
-    res.status(500).json({ message: "Server error" });
+      // log out every device, then give this one a fresh session
+      await revokeAllSessions(editor._id);
+      const { token, refreshToken } = await createSession(editor, req);
+
+      await recordAudit(req, {
+        action: "editor.change_password",
+        target: { type: "editor", id: editor._id, label: editor.email },
+      });
+
+      res.json({
+        message: "Password updated successfully",
+        token,
+        refreshToken,
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 export default router;
@@ -0,0 +1,234 @@
+// backend/routes/feedRoutes.js
+import express from "express";
+import Article from "../models/Article.js";
+import { isActiveCategory } from "../utils/categories.js";
+import { SITE_URL, SITE_NAME } from "../config/site.js";
+import {
+  buildRss,
+  buildAtom,
+  buildSitemap,
+  buildNewsSitemap,
+  buildSitemapIndex,
+  newestDate,
+} from "../utils/feeds.js";
+
+const router = express.Router();
+
+const FEED_SIZE = 50;
+const SITEMAP_PAGE_SIZE = 5000;
+// Google News only wants the last 2 days
+const NEWS_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+const FEED_FIELDS =
+  "title slug summary content image imageUrl categories publishedAt updatedAt createdAt author coAuthors";
+
+function requestUrl(req, path = req.originalUrl) {
+  return `${req.protocol}://${req.get("host")}${path}`;
+}
+
+function sendXml(res, type, body) {
+  res.set("Content-Type", `${type}; charset=utf-8`);
+  res.send(body);
+}
+
+async function latestArticles(category) {
+  const filter = Article.publicFilter();
+  if (category) filter.categories = category;
+
+  return Article.find(filter)
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(FEED_SIZE)
+    .select(FEED_FIELDS)
+    .populate("author", "name")
+    .populate("coAuthors", "name")
+    .populate("image", "url mimeType size")
+    .lean();
+}
+
+function channelFor(req, category) {
+  const label = category
+    ? category.charAt(0).toUpperCase() + category.slice(1)
+    : null;
+
+  return {
+    title: label ? `${SITE_NAME} – ${label}` : SITE_NAME,
+    description: label
+      ? `Latest ${label} news from ${SITE_NAME}`
+      : `Latest news from ${SITE_NAME}`,
+    link: category ? `${SITE_URL}/category/${category}` : SITE_URL,
+    selfUrl: requestUrl(req),
+  };
+}
+
+/**
+ * Resolve :category, or send a 404 and return null.
+ */
+async function feedCategory(req, res) {
+  const category = String(req.params.category).toLowerCase();
+  if (!(await isActiveCategory(category))) {
+    res.status(404).json({ message: "Unknown category" });
+    return null;
+  }
+  return category;
+}
+
+/* ------------------------------------------------------------------ */
+/*  RSS / ATOM                                                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/public/feeds/rss.xml
+ * Site-wide RSS 2.0 feed
+ */
+router.get("/feeds/rss.xml", async (req, res, next) => {
+  try {
+    const articles = await latestArticles();
+    sendXml(res, "application/rss+xml", buildRss(channelFor(req), articles));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/public/feeds/atom.xml
+ * Site-wide Atom feed
+ */
+router.get("/feeds/atom.xml", async (req, res, next) => {
+  try {
+    const articles = await latestArticles();
+    sendXml(res, "application/atom+xml", buildAtom(channelFor(req), articles));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/public/feeds/:category/rss.xml
+ * RSS 2.0 feed for one category
+ */
+router.get("/feeds/:category/rss.xml", async (req, res, next) => {
+  try {
+    const category = await feedCategory(req, res);
+    if (!category) return;
+
+    const articles = await latestArticles(category);
+    sendXml(
+      res,
+      "application/rss+xml",
+      buildRss(channelFor(req, category), articles)
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/public/feeds/:category/atom.xml
+ * Atom feed for one category
+ */
+router.get("/feeds/:category/atom.xml", async (req, res, next) => {
+  try {
+    const category = await feedCategory(req, res);
+    if (!category) return;
+
+    const articles = await latestArticles(category);
+    sendXml(
+      res,
+      "application/atom+xml",
+      buildAtom(channelFor(req, category), articles)
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/*  SITEMAPS                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/public/sitemap-index.xml
+ * Sitemap index: the news sitemap + paged article sitemaps
+ */
+router.get("/sitemap-index.xml", async (req, res, next) => {
+  try {
+    // only the dates, to split into pages and compute each lastmod
+    const rows = await Article.find(Article.publicFilter())
+      .sort({ publishedAt: 1, _id: 1 })
+      .select("publishedAt updatedAt createdAt")
+      .lean();
+
+    const base = requestUrl(req, req.baseUrl);
+    const sitemaps = [
+      {
+        loc: `${base}/sitemap.xml`,
+        lastmod: newestDate(rows),
+      },
+    ];
+
+    for (let i = 0; i < rows.length; i += SITEMAP_PAGE_SIZE) {
+      sitemaps.push({
+        loc: `${base}/sitemaps/articles-${i / SITEMAP_PAGE_SIZE + 1}.xml`,
+        lastmod: newestDate(rows.slice(i, i + SITEMAP_PAGE_SIZE)),
+      });
+    }
+
+    sendXml(res, "application/xml", buildSitemapIndex(sitemaps));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/public/sitemap.xml
+ * Google News sitemap (articles published in the last 2 days)
+ */
+router.get("/sitemap.xml", async (req, res, next) => {
+  try {
+    const filter = Article.publicFilter();
+    filter.$and.push({
+      publishedAt: { $gte: new Date(Date.now() - NEWS_WINDOW_MS) },
+    });
+
+    const articles = await Article.find(filter)
+      .sort({ publishedAt: -1 })
+      // Google News caps a news sitemap at 1000 URLs
+      .limit(1000)
+      .select("title slug publishedAt updatedAt")
+      .lean();
+
+    sendXml(res, "application/xml", buildNewsSitemap(articles));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/public/sitemaps/articles-:page.xml
+ * One page of the article sitemap (oldest first, so pages stay stable)
+ */
+router.get("/sitemaps/articles-:page.xml", async (req, res, next) => {
+  try {
+    const page = parseInt(req.params.page, 10);
+    if (!page || page < 1) {
+      return res.status(404).json({ message: "Sitemap not found" });
+    }
+
+    const articles = await Article.find(Article.publicFilter())
+      .sort({ publishedAt: 1, _id: 1 })
+      .skip((page - 1) * SITEMAP_PAGE_SIZE)
+      .limit(SITEMAP_PAGE_SIZE)
+      .select("slug publishedAt updatedAt createdAt")
+      .lean();
+
+    if (!articles.length && page > 1) {
+      return res.status(404).json({ message: "Sitemap not found" });
+    }
+
+    sendXml(res, "application/xml", buildSitemap(articles));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,289 @@
+// backend/routes/mediaRoutes.js
+import express from "express";
+import multer from "multer";
+import Article from "../models/Article.js";
+import ArticleRevision from "../models/ArticleRevision.js";
+import Media from "../models/Media.js";
+import Editor from "../models/Editor.js";
+import { authMiddleware, authorize } from "../middleware/auth.js";
+import {
+  validate,
+  z,
+  idParams,
+  limit,
+  cursor,
+  queryBoolean,
+} from "../middleware/validate.js";
+import { CAPABILITIES, can } from "../config/permissions.js";
+import { recordAudit, summarize } from "../utils/audit.js";
+import { MEDIA_MAX_BYTES, storeUpload, removeMedia } from "../utils/media.js";
+import { invalidatePublic } from "../utils/publicCache.js";
+import { populateWithDeleted } from "../utils/softDelete.js";
+import { dateKeysetFilter, dateKeysetPage } from "../utils/pagination.js";
+
+const router = express.Router();
+
+const { ARTICLE_CREATE, ARTICLE_EDIT_ANY } = CAPABILITIES;
+
+const MEDIA_FIELDS = ["alt", "caption", "credit"];
+
+const mediaBody = z.object({
+  alt: z.string().optional(),
+  caption: z.string().optional(),
+  credit: z.string().optional(),
+});
+
+// kept in memory: files are small and go straight to the storage driver
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: 1 },
+}).single("file");
+
+/** multer as middleware, with its errors answered as JSON */
+function receiveFile(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res
+        .status(413)
+        .json({ message: `File is larger than ${MEDIA_MAX_BYTES} bytes` });
+    }
+    res.status(400).json({ message: err.message });
+  });
+}
+
+/**
+ * Media :id if the current user may change it: their own uploads,
+ * anybody's with article.edit_any. Null otherwise (→ 404).
+ */
+async function findOwnMedia(req) {
+  const media = await Media.findById(req.params.id);
+  if (!media) return null;
+
+  const own = String(media.uploadedBy) === req.user.id;
+  return own || can(req.user, ARTICLE_EDIT_ANY) ? media : null;
+}
+
+/**
+ * POST /api/media
+ * Upload an image (multipart/form-data)
+ * Fields: file (required), alt?, caption?, credit?
+ */
+router.post(
+  "/",
+  authMiddleware,
+  authorize(ARTICLE_CREATE),
+  receiveFile,
+  validate({ body: mediaBody }),
+  async (req, res, next) => {
+    try {
+      const { alt, caption, credit } = req.body;
+      const { error, media } = await storeUpload(req.file, req.user.id, {
+        alt,
+        caption,
+        credit,
+      });
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      await recordAudit(req, {
+        action: "media.upload",
+        target: { type: "media", id: media._id, label: media.originalName },
+        after: summarize(media, ["url", "mimeType", "size"]),
+      });
+
+      res.status(201).json({ message: "File uploaded", media });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/media
+ * Browse the media library, newest first
+ * Query:
+ *   search?   = words in file name, alt text, caption or credit
+ *   type?     = mime type, e.g. image/png
+ *   mine?     = true → only own uploads
+ *   limit?    = default 30, max 100
+ *   cursor?   = nextCursor from the previous page
+ */
+router.get(
+  "/",
+  authMiddleware,
+  authorize(ARTICLE_CREATE),
+  validate({
+    query: z.object({
+      search: z.string().trim().optional(),
+      type: z.string().optional(),
+      mine: queryBoolean.optional(),
+      limit: limit({ def: 30, max: 100 }),
+      cursor,
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { search, type, mine, limit, cursor } = req.query;
+
+      const filter = {};
+      if (search) filter.$text = { $search: search };
+      if (type) filter.mimeType = type;
+      if (mine) filter.uploadedBy = req.user.id;
+
+      let query = filter;
+      if (cursor) {
+        const after = dateKeysetFilter("createdAt", -1, cursor);
+        if (!after) {
+          return res.status(400).json({ message: "Invalid cursor" });
+        }
+        query = { $and: [filter, after] };
+      }
+
+      const docs = await Media.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate(populateWithDeleted("uploadedBy", "name email"));
+
+      const { items: media, nextCursor } = dateKeysetPage(
+        docs,
+        limit,
+        "createdAt"
+      );
+
+      res.json({ media, nextCursor });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/media/:id
+ * One library item, with the number of articles using it
+ */
+router.get(
+  "/:id",
+  authMiddleware,
+  authorize(ARTICLE_CREATE),
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const media = await Media.findById(req.params.id).populate(
+        populateWithDeleted("uploadedBy", "name email")
+      );
+      if (!media) {
+        return res.status(404).json({ message: "Media not found" });
+      }
+
+      // trashed articles too, they may be restored
+      const usedBy = await Article.countDocuments({
+        image: media._id,
+      }).setOptions({ withDeleted: true });
+      res.json({ media, usedBy });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /api/media/:id
+ * Update alt text, caption and credit of own uploads
+ * (anyone's with article.edit_any)
+ */
+router.put(
+  "/:id",
+  authMiddleware,
+  validate({ params: idParams, body: mediaBody }),
+  async (req, res, next) => {
+    try {
+      const media = await findOwnMedia(req);
+      if (!media) {
+        return res.status(404).json({ message: "Media not found" });
+      }
+
+      const before = summarize(media, MEDIA_FIELDS);
+      for (const field of MEDIA_FIELDS) {
+        if (req.body[field] !== undefined) media[field] = req.body[field];
+      }
+      await media.save();
+      // alt text, caption and credit are shown with public articles
+      await invalidatePublic(`media:${media._id}`);
+
+      await recordAudit(req, {
+        action: "media.update",
+        target: { type: "media", id: media._id, label: media.originalName },
+        before,
+        after: summarize(media, MEDIA_FIELDS),
+      });
+
+      res.json({ message: "Media updated", media });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /api/media/:id
+ * Delete an upload that no article, article revision or author profile
+ * uses any more
+ */
+router.delete(
+  "/:id",
+  authMiddleware,
+  validate({ params: idParams }),
+  async (req, res, next) => {
+    try {
+      const media = await findOwnMedia(req);
+      if (!media) {
+        return res.status(404).json({ message: "Media not found" });
+      }
+
+      const usedBy = await Article.countDocuments({
+        image: media._id,
+      }).setOptions({ withDeleted: true });
+      if (usedBy) {
+        return res.status(409).json({
+          message: `Media is used by ${usedBy} article(s)`,
+          usedBy,
+        });
+      }
+      const avatarOf = await Editor.countDocuments({
+        avatar: media._id,
+      }).setOptions({ withDeleted: true });
+      if (avatarOf) {
+        return res.status(409).json({
+          message: `Media is the avatar of ${avatarOf} author(s)`,
+          avatarOf,
+        });
+      }
+      // restoring a revision brings its image back
+      const inHistoryOf = (
+        await ArticleRevision.distinct("article", { image: media._id })
+      ).length;
+      if (inHistoryOf) {
+        return res.status(409).json({
+          message: `Media is in the revision history of ${inHistoryOf} article(s)`,
+          inHistoryOf,
+        });
+      }
+
+      await removeMedia(media);
+
+      await recordAudit(req, {
+        action: "media.delete",
+        target: { type: "media", id: media._id, label: media.originalName },
+        before: summarize(media, ["url", ...MEDIA_FIELDS]),
+      });
+
+      res.json({ message: "Media deleted" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
@@ -1,74 +1,641 @@
 // backend/routes/publicRoutes.js
 import express from "express";
+import mongoose from "mongoose";
 import Article from "../models/Article.js";
+import Category from "../models/Category.js";
+import { searchTerms, articleHighlights } from "../utils/search.js";
+import { badRequest } from "../utils/errors.js";
+import { sendCached, articleTags, LIST_TAG } from "../utils/publicCache.js";
+import {
+  validate,
+  z,
+  objectId,
+  limit,
+  cursor,
+  date,
+  stringList,
+  text,
+  email,
+} from "../middleware/validate.js";
+import { PUBLIC_MEDIA_FIELDS, withImageUrl } from "../utils/media.js";
+import {
+  populateCredits,
+  bylineFilter,
+  publicAuthor,
+} from "../utils/authors.js";
+import { categoryCounts } from "../utils/categories.js";
+import { normalizeTag, tagCounts } from "../utils/tags.js";
+import { recordView, topArticles, bucketStart } from "../utils/views.js";
+import {
+  listPublicThread,
+  postReaderComment,
+  checkCommentRate,
+} from "../utils/readerComments.js";
+import {
+  MAX_COMMENT_NAME_LENGTH,
+  MAX_COMMENT_EMAIL_LENGTH,
+  MAX_COMMENT_BODY_LENGTH,
+} from "../models/ReaderComment.js";
+import {
+  encodeCursor,
+  decodeCursor,
+  dateKeysetFilter,
+  dateKeysetPage,
+} from "../utils/pagination.js";
 
 const router = express.Router();
 
+// fields a public client may ask for via ?fields=
+const PUBLIC_FIELDS = [
+  "title",
+  "slug",
+  "summary",
+  "content",
+  "image",
+  "imageUrl",
+  "categories",
+  "tags",
+  "source",
+  "publishedAt",
+  "createdAt",
+  "author",
+  "coAuthors",
+  "contributors",
+];
+
+// ?view=card → everything a list card needs, no body
+const CARD_FIELDS = PUBLIC_FIELDS.filter((f) => f !== "content");
+
+const category = z.string().trim().toLowerCase().optional();
+
+const articleListQuery = z.object({
+  category,
+  tag: z.string().optional(),
+  search: z.string().trim().optional(),
+  from: date.optional(),
+  to: date.optional(),
+  sort: z.enum(["newest", "oldest"]).default("newest"),
+  limit: limit({ def: 20, max: 50 }),
+  cursor,
+  view: z.enum(["full", "card"]).default("full"),
+  fields: stringList.pipe(z.array(z.enum(PUBLIC_FIELDS))).optional(),
+});
+
+/**
+ * Build one page of the public article list (see GET /articles below).
+ * Returns what sendCached() stores: the body and the tags to drop it by.
+ */
+async function articleList({
+  category,
+  tag,
+  search,
+  from,
+  to,
+  sort,
+  limit,
+  cursor,
+  view,
+  fields,
+}) {
+  // published, live and not expired (scheduled stories never leak)
+  const filter = Article.publicFilter();
+
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    filter.$and.push({ publishedAt: range });
+  }
+
+  let selected = view === "card" ? CARD_FIELDS : PUBLIC_FIELDS;
+  if (fields?.length) selected = fields;
+
+  if (tag) filter.tags = normalizeTag(tag);
+
+  const isSearch = Boolean(search);
+  if (isSearch) {
+    filter.$text = { $search: search };
+  }
+
+  // counts ignore the category (so every tab gets a number) and the cursor
+  const countFilter = { ...filter, $and: [...filter.$and] };
+
+  // categories are stored lowercase
+  if (category) filter.categories = category;
+
+  let query;
+  let offset = 0;
+
+  if (isSearch) {
+    // relevance order has no stable key, so search pages by offset
+    if (cursor) {
+      const data = decodeCursor(cursor);
+      if (!data || !Number.isInteger(data.o) || data.o < 0) {
+        throw badRequest("Invalid cursor");
+      }
+      offset = data.o;
+    }
+
+    query = Article.find(filter, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, publishedAt: -1 })
+      .skip(offset)
+      // content is needed for the snippets, dropped below if not selected
+      .select([
+        ...new Set([...selected, "slug", "title", "summary", "content"]),
+      ]);
+  } else {
+    const direction = sort === "oldest" ? 1 : -1;
+    if (cursor) {
+      const after = dateKeysetFilter("publishedAt", direction, cursor);
+      if (!after) {
+        throw badRequest("Invalid cursor");
+      }
+      filter.$and.push(after);
+    }
+
+    query = Article.find(filter)
+      .sort({ publishedAt: direction, _id: direction })
+      // publishedAt is the cursor key, always needed
+      .select([...new Set([...selected, "publishedAt", "slug"])]);
+  }
+
+  populateCredits(query, selected);
+  if (selected.includes("image")) {
+    query.populate("image", PUBLIC_MEDIA_FIELDS);
+  }
+
+  const [docs, counts] = await Promise.all([
+    query.limit(limit + 1).lean(),
+    cursor ? null : categoryCounts(countFilter),
+  ]);
+
+  let articles;
+  let nextCursor;
+
+  if (isSearch) {
+    const terms = searchTerms(search);
+    articles = docs.slice(0, limit).map((doc) => {
+      const article = {
+        ...doc,
+        highlights: articleHighlights(doc, terms),
+      };
+      for (const f of ["title", "summary", "content"]) {
+        if (!selected.includes(f)) delete article[f];
+      }
+      return article;
+    });
+    nextCursor =
+      docs.length > limit ? encodeCursor({ o: offset + limit }) : null;
+  } else {
+    ({ items: articles, nextCursor } = dateKeysetPage(
+      docs,
+      limit,
+      "publishedAt"
+    ));
+  }
+
+  articles = articles.map(withImageUrl);
+  return {
+    body: { articles, nextCursor, counts },
+    tags: [LIST_TAG, ...articleTags(articles)],
+  };
+}
+
 /**
  * GET /api/public/articles
- * Public list of published articles with optional category + search
+ * Public list of published articles, one page at a time
+ * Query:
+ *   category? = category slug
+ *   tag?      = one tag
+ *   search?   = full-text search over title, summary and content,
+ *               results ranked by relevance with highlighted snippets
+ *   from?, to? = publishedAt date range (inclusive)
+ *   sort?     = newest (default) | oldest, ignored for search
+ *   limit?    = default 20, max 50
+ *   cursor?   = nextCursor from the previous page
+ *   view?     = full (default) | card (no content)
+ *   fields?   = comma separated subset of PUBLIC_FIELDS
+ * Response: { articles, nextCursor, counts }
+ *   counts = per-category totals for this query, first page only
+ * Cached with ETag / Last-Modified (utils/publicCache.js)
+ */
+router.get(
+  "/articles",
+  validate({ query: articleListQuery }),
+  async (req, res, next) => {
+    try {
+      // the validated query has defaults applied and unknown parameters
+      // dropped, so equivalent URLs share one entry
+      await sendCached(res, `list:${JSON.stringify(req.query)}`, () =>
+        articleList(req.query)
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/public/categories
+ * Active categories in navigation order, with live article counts
  */
-router.get("/articles", async (req, res) => {
+router.get("/categories", async (req, res, next) => {
   try {
-    const { category, search } = req.query;
+    const [categories, counts] = await Promise.all([
+      Category.find({ active: true })
+        .sort({ order: 1, name: 1 })
+        .select("name slug description order")
+        .lean(),
+      categoryCounts(Article.publicFilter()),
+    ]);
 
-    const filter = {
-      status: "published",
-    };
+    res.json({
+      categories: categories.map((category) => ({
+        ...category,
+        articleCount: counts[category.slug] || 0,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // ✅ Case-insensitive match on categories array
-    if (category) {
-      const catRegex = new RegExp(`^${category}$`, "i");
-      filter.categories = { $elemMatch: { $regex: catRegex } };
-      // Equivalent: filter.categories = { $in: [catRegex] };
+/**
+ * GET /api/public/tags
+ * Most used tags on live articles
+ * Query:
+ *   q?     = only tags starting with this
+ *   limit? = default 50, max 200
+ */
+router.get(
+  "/tags",
+  validate({
+    query: z.object({
+      q: z.string().optional(),
+      limit: limit({ def: 50, max: 200 }),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const tags = await tagCounts(Article.publicFilter(), {
+        prefix: req.query.q,
+        limit: req.query.limit,
+      });
+      res.json({ tags });
+    } catch (err) {
+      next(err);
     }
+  }
+);
+
+/**
+ * Card data for the ranked article ids, in rank order, with their views.
+ */
+async function rankedCards(ranking) {
+  const ids = ranking.map((row) => row.article);
+  const docs = await populateCredits(
+    Article.find({ _id: { $in: ids } }).select(CARD_FIELDS)
+  )
+    .populate("image", PUBLIC_MEDIA_FIELDS)
+    .lean();
+
+  const byId = new Map(docs.map((doc) => [String(doc._id), doc]));
+  return ranking
+    .map(({ article, views }) => {
+      const doc = byId.get(String(article));
+      return doc && { ...withImageUrl(doc), views };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * GET /api/public/trending
+ * Most viewed live articles over the last hours
+ * Query:
+ *   hours?    = window, default 24, max 72
+ *   category? = category slug
+ *   limit?    = default 10, max 50
+ */
+router.get(
+  "/trending",
+  validate({
+    query: z.object({
+      hours: limit({ def: 24, max: 72 }),
+      category,
+      limit: limit({ def: 10, max: 50 }),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { hours, category, limit } = req.query;
 
-    if (search) {
-      const searchRegex = new RegExp(search, "i");
-      filter.title = { $regex: searchRegex };
-      // you can also add summary/content if you want:
-      // filter.$or = [
-      //   { title: { $regex: searchRegex } },
-      //   { summary: { $regex: searchRegex } },
-      // ];
+      // whole hour buckets: the current (partial) one plus hours - 1 before it
+      const since = new Date(
+        bucketStart("hour").getTime() - (hours - 1) * 60 * 60 * 1000
+      );
+      const ranking = await topArticles({
+        unit: "hour",
+        since,
+        category,
+        limit,
+      });
+
+      res.json({ articles: await rankedCards(ranking), hours });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/public/most-read
+ * Most viewed live articles over the last days
+ * Query:
+ *   days?     = window, default 7, max 90
+ *   category? = category slug
+ *   limit?    = default 10, max 50
+ */
+router.get(
+  "/most-read",
+  validate({
+    query: z.object({
+      days: limit({ def: 7, max: 90 }),
+      category,
+      limit: limit({ def: 10, max: 50 }),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { days, category, limit } = req.query;
+
+      const since = new Date(
+        bucketStart("day").getTime() - (days - 1) * 24 * 60 * 60 * 1000
+      );
+      const ranking = await topArticles({
+        unit: "day",
+        since,
+        category,
+        limit,
+      });
+
+      res.json({ articles: await rankedCards(ranking), days });
+    } catch (err) {
+      next(err);
     }
+  }
+);
+
+function idOrSlugFilter(idOrSlug) {
+  return mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { $or: [{ _id: idOrSlug }, { slug: idOrSlug }] }
+    : { slug: idOrSlug };
+}
+
+/**
+ * GET /api/public/articles/:idOrSlug
+ * Single article for public view, by slug (preferred) or id. Counts a view,
+ * also when answered from the cache or with a 304.
+ * An old slug answers 301 with the current slug in Location and body.
+ */
+router.get("/articles/:idOrSlug", async (req, res, next) => {
+  try {
+    const { idOrSlug } = req.params;
+
+    const sent = await sendCached(res, `detail:${idOrSlug}`, async () => {
+      // only live published articles are visible publicly
+      const article = await populateCredits(
+        Article.findOne({
+          ...idOrSlugFilter(idOrSlug),
+          ...Article.publicFilter(),
+        })
+          // internal workflow fields stay private
+          .select("-review -submittedAt -previousSlugs")
+      )
+        .populate("image", PUBLIC_MEDIA_FIELDS)
+        .lean();
+
+      if (article) {
+        return {
+          body: { article: withImageUrl(article) },
+          tags: articleTags([article]),
+          lastModified: article.updatedAt,
+          // gone from the site once it expires, even before the scheduler
+          // archives it
+          ttlMs: article.expiresAt
+            ? article.expiresAt.getTime() - Date.now()
+            : undefined,
+          meta: { articleId: String(article._id) },
+        };
+      }
+
+      // renamed article: point old links at the current slug
+      const renamed = await Article.findOne({
+        previousSlugs: idOrSlug,
+        ...Article.publicFilter(),
+      }).select("slug");
+
+      if (!renamed) {
+        res.status(404).json({ message: "Article not found" });
+        return null;
+      }
 
-    const articles = await Article.find(filter)
-      .sort({ publishedAt: -1, createdAt: -1 })
-      .select("title summary content imageUrl categories source publishedAt createdAt author")
-      .populate("author", "name");
+      res
+        .status(301)
+        .location(`${req.baseUrl}/articles/${encodeURIComponent(renamed.slug)}`)
+        .json({ message: "Article moved", slug: renamed.slug });
+      return null;
+    });
 
-    res.json({ articles });
+    if (sent) recordView(req, sent.meta.articleId);
   } catch (err) {
-    console.error("Public list articles error:", err);
-    res.status(500).json({ message: "Server error" });
+    next(err);
   }
 });
 
+/* ------------------------------------------------------------------ */
+/*  AUTHORS                                                            */
+/* ------------------------------------------------------------------ */
+
+// tags for a cached author response: their profile, and every list change
+// (which can change their articles and article count)
+function authorTags(author) {
+  const tags = [`author:${author._id}`, LIST_TAG];
+  if (author.avatar) tags.push(`media:${author.avatar._id}`);
+  return tags;
+}
+
 /**
- * GET /api/public/articles/:id
- * Single article for public view
+ * GET /api/public/authors/:idOrSlug
+ * Public profile: { author: { _id, name, slug, bio, avatar, links,
+ * articleCount } }. Only editors bylined on a live article have one.
  */
-router.get("/articles/:id", async (req, res) => {
+router.get("/authors/:idOrSlug", async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { idOrSlug } = req.params;
+
+    await sendCached(res, `author:${idOrSlug}`, async () => {
+      const author = await publicAuthor(idOrSlug);
+      if (!author) {
+        res.status(404).json({ message: "Author not found" });
+        return null;
+      }
+      return { body: { author }, tags: authorTags(author) };
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
+/**
+ * GET /api/public/authors/:idOrSlug/articles
+ * Live articles the author is bylined on (as author or co-author), newest
+ * first, as cards
+ * Query:
+ *   limit?  = default 20, max 50
+ *   cursor? = nextCursor from the previous page
+ * Response: { author: { _id, name, slug }, articles, nextCursor }
+ */
+router.get(
+  "/authors/:idOrSlug/articles",
+  validate({ query: z.object({ limit: limit({ def: 20, max: 50 }), cursor }) }),
+  async (req, res, next) => {
+    try {
+      const { idOrSlug } = req.params;
+      const { limit, cursor } = req.query;
+      const key = `author-articles:${idOrSlug}:${JSON.stringify(req.query)}`;
+
+      await sendCached(res, key, async () => {
+        const author = await publicAuthor(idOrSlug);
+        if (!author) {
+          res.status(404).json({ message: "Author not found" });
+          return null;
+        }
+
+        const filter = Article.publicFilter();
+        filter.$and.push(bylineFilter(author._id));
+        if (cursor) {
+          const after = dateKeysetFilter("publishedAt", -1, cursor);
+          if (!after) throw badRequest("Invalid cursor");
+          filter.$and.push(after);
+        }
+
+        const docs = await populateCredits(
+          Article.find(filter)
+            .sort({ publishedAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .select(CARD_FIELDS)
+        )
+          .populate("image", PUBLIC_MEDIA_FIELDS)
+          .lean();
+
+        const page = dateKeysetPage(docs, limit, "publishedAt");
+        const articles = page.items.map(withImageUrl);
+        return {
+          body: {
+            author: { _id: author._id, name: author.name, slug: author.slug },
+            articles,
+            nextCursor: page.nextCursor,
+          },
+          tags: [...authorTags(author), ...articleTags(articles)],
+        };
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  READER COMMENTS                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * GET /api/public/articles/:idOrSlug/comments
+ * Approved comments as a thread. Comments close once the article is
+ * no longer live (unpublished, archived or expired): 404 from then on.
+ */
+router.get("/articles/:idOrSlug/comments", async (req, res, next) => {
+  try {
     const article = await Article.findOne({
-      _id: id,
-      status: "published", // only published visible publicly
-    })
-      .populate("author", "name")
-      .exec();
+      ...idOrSlugFilter(req.params.idOrSlug),
+      ...Article.publicFilter(),
+    }).select("_id");
 
     if (!article) {
       return res.status(404).json({ message: "Article not found" });
     }
 
-    res.json({ article });
+    res.json(await listPublicThread(article._id));
   } catch (err) {
-    console.error("Public get article error:", err);
-    res.status(500).json({ message: "Server error" });
+    next(err);
   }
 });
 
+/**
+ * POST /api/public/articles/:idOrSlug/comments
+ * Body: { name (max 80), email, body (max 5000), parentId? }
+ * The comment is held for moderation; the email is never shown.
+ * Readers post with name and email only: there are no reader accounts.
+ * Limited per IP and per email address: 429 with Retry-After when over.
+ */
+router.post(
+  "/articles/:idOrSlug/comments",
+  validate({
+    body: z.object({
+      name: text.pipe(z.string().max(MAX_COMMENT_NAME_LENGTH)),
+      email: email.pipe(z.string().max(MAX_COMMENT_EMAIL_LENGTH)),
+      body: text.pipe(z.string().max(MAX_COMMENT_BODY_LENGTH)),
+      parentId: objectId.optional(),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const article = await Article.findOne({
+        ...idOrSlugFilter(req.params.idOrSlug),
+        ...Article.publicFilter(),
+      }).select("_id");
+
+      if (!article) {
+        return res
+          .status(404)
+          .json({ message: "Article not found or comments are closed" });
+      }
+
+      const { name, email, body, parentId } = req.body;
+
+      const rate = await checkCommentRate(req.ip, email);
+      if (rate.blocked) {
+        const retryAfter = Math.ceil(rate.retryAfterMs / 1000);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          message: "Too many comments, try again later",
+          retryAfter,
+        });
+      }
+
+      const { error, comment } = await postReaderComment(
+        article,
+        { name, email, body, parentId },
+        req
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      res.status(201).json({
+        message: "Thanks! Your comment will appear once it is approved",
+        comment: {
+          _id: comment._id,
+          parent: comment.parent,
+          name: comment.name,
+          body: comment.body,
+          createdAt: comment.createdAt,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 export default router;
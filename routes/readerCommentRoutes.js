@@ -0,0 +1,195 @@
+// backend/routes/readerCommentRoutes.js
+import express from "express";
+import ReaderComment, {
+  READER_COMMENT_STATUSES,
+} from "../models/ReaderComment.js";
+import { authMiddleware, authorize } from "../middleware/auth.js";
+import {
+  validate,
+  z,
+  objectId,
+  limit,
+  cursor,
+} from "../middleware/validate.js";
+import { CAPABILITIES } from "../config/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import { dateKeysetFilter, dateKeysetPage } from "../utils/pagination.js";
+import { populateWithDeleted } from "../utils/softDelete.js";
+import {
+  getBannedWords,
+  setBannedWords,
+  moderateComments,
+  deleteComments,
+} from "../utils/readerComments.js";
+
+const router = express.Router();
+
+const { COMMENTS_MODERATE } = CAPABILITIES;
+
+// bulk action → new status ("delete" removes the comments)
+const BULK_ACTIONS = {
+  approve: "approved",
+  reject: "rejected",
+  spam: "spam",
+  pending: "pending",
+  delete: null,
+};
+const MAX_BULK = 500;
+
+/**
+ * GET /api/admin/reader-comments
+ * Moderation queue, newest first
+ * Query:
+ *   status?  = pending (default) | approved | rejected | spam
+ *   article? = only comments on this article id
+ *   limit?   = default 50, max 200
+ *   cursor?  = nextCursor from the previous page
+ */
+router.get(
+  "/",
+  authMiddleware,
+  authorize(COMMENTS_MODERATE),
+  validate({
+    query: z.object({
+      status: z.enum(READER_COMMENT_STATUSES).default("pending"),
+      article: objectId.optional(),
+      limit: limit({ def: 50, max: 200 }),
+      cursor,
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { status, article, limit, cursor } = req.query;
+
+      const filter = { status };
+      if (article) filter.article = article;
+
+      let query = filter;
+      if (cursor) {
+        const after = dateKeysetFilter("createdAt", -1, cursor);
+        if (!after) {
+          return res.status(400).json({ message: "Invalid cursor" });
+        }
+        query = { $and: [filter, after] };
+      }
+
+      const [docs, counts] = await Promise.all([
+        ReaderComment.find(query)
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(limit + 1)
+          // comments on trashed articles still show where they were
+          .populate(
+            populateWithDeleted("article", "title slug status deletedAt")
+          )
+          .populate("parent", "name body")
+          .populate(populateWithDeleted("moderatedBy", "name email")),
+        cursor ? null : statusCounts(),
+      ]);
+
+      const { items: comments, nextCursor } = dateKeysetPage(
+        docs,
+        limit,
+        "createdAt"
+      );
+
+      res.json({ comments, nextCursor, counts });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/** { status: count } over all reader comments */
+async function statusCounts() {
+  const rows = await ReaderComment.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const counts = Object.fromEntries(
+    READER_COMMENT_STATUSES.map((status) => [status, 0])
+  );
+  for (const row of rows) counts[row._id] = row.count;
+  return counts;
+}
+
+/**
+ * POST /api/admin/reader-comments/bulk
+ * Body: { ids: [...], action: approve | reject | spam | pending | delete }
+ * Deleting a comment also deletes the replies to it.
+ */
+router.post(
+  "/bulk",
+  authMiddleware,
+  authorize(COMMENTS_MODERATE),
+  validate({
+    body: z.object({
+      ids: z.array(objectId).min(1).max(MAX_BULK),
+      action: z.enum(Object.keys(BULK_ACTIONS)),
+    }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { ids, action } = req.body;
+
+      const changed =
+        action === "delete"
+          ? await deleteComments(ids)
+          : await moderateComments(ids, BULK_ACTIONS[action], req.user.id);
+
+      await recordAudit(req, {
+        action: `comment.${action}`,
+        meta: { ids, changed },
+      });
+
+      res.json({ message: `Comments updated (${action})`, changed });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/reader-comments/banned-words
+ */
+router.get(
+  "/banned-words",
+  authMiddleware,
+  authorize(COMMENTS_MODERATE),
+  async (req, res, next) => {
+    try {
+      res.json({ words: await getBannedWords() });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/reader-comments/banned-words
+ * Body: { words: [...] } replaces the list. New comments containing one of
+ * them (whole word, any case) go straight to spam.
+ */
+router.put(
+  "/banned-words",
+  authMiddleware,
+  authorize(COMMENTS_MODERATE),
+  validate({ body: z.object({ words: z.array(z.string()) }) }),
+  async (req, res, next) => {
+    try {
+      const before = await getBannedWords();
+      const words = await setBannedWords(req.body.words, req.user.id);
+
+      await recordAudit(req, {
+        action: "comment.banned_words",
+        before: { words: before },
+        after: { words },
+      });
+
+      res.json({ message: "Banned words updated", words });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
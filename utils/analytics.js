@@ -0,0 +1,390 @@
+// backend/utils/analytics.js
+import mongoose from "mongoose";
+import Article from "../models/Article.js";
+import Editor from "../models/Editor.js";
+import Category from "../models/Category.js";
+
+/*
+ * Newsroom trends for the dashboards: published articles per period, how
+ * long articles take to get published and per-editor output. Periods are
+ * UTC days, weeks (starting Monday) or months, and every series has one
+ * entry per period of the range, zeros included, so charts can plot it as
+ * is. `scope` is an extra article filter (section editor categories, or
+ * one author for the editor dashboard).
+ */
+
+export const ANALYTICS_INTERVALS = ["day", "week", "month"];
+export const ANALYTICS_GROUPS = ["total", "editor", "category"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+// keeps responses chart-sized (a bit over a year of days)
+const MAX_BUCKETS = 400;
+
+// published articles keep counting once they are archived
+const PUBLISHED_STATUSES = ["published", "archived"];
+
+/** Start of the UTC day / week (Monday) / month `date` falls in */
+export function periodStart(date, interval) {
+  const d = new Date(date);
+  if (interval === "month") {
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  }
+  const day = new Date(Math.floor(d.getTime() / DAY_MS) * DAY_MS);
+  if (interval === "week") {
+    const sinceMonday = (day.getUTCDay() + 6) % 7;
+    return new Date(day.getTime() - sinceMonday * DAY_MS);
+  }
+  return day;
+}
+
+function nextPeriod(start, interval) {
+  if (interval === "month") {
+    return new Date(
+      Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)
+    );
+  }
+  const days = interval === "week" ? 7 : 1;
+  return new Date(start.getTime() + days * DAY_MS);
+}
+
+/**
+ * Resolve the requested range: to defaults to now, from to
+ * DEFAULT_RANGE_DAYS earlier. Returns { from, to, interval, periods } or
+ * { error }.
+ */
+export function analyticsRange({ from, to, interval = "day" }) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (start >= end) return { error: "from must be before to" };
+
+  const periods = [];
+  let period = periodStart(start, interval);
+  while (period < end) {
+    periods.push(period);
+    if (periods.length > MAX_BUCKETS) {
+      const limit = `max ${MAX_BUCKETS} periods`;
+      return { error: `Range too long for interval ${interval} (${limit})` };
+    }
+    period = nextPeriod(period, interval);
+  }
+  return { from: start, to: end, interval, periods };
+}
+
+/** Scope for one author's articles (aggregations don't cast ids) */
+export function authorScope(editorId) {
+  return { author: new mongoose.Types.ObjectId(String(editorId)) };
+}
+
+function publishedMatch(scope, { from, to }) {
+  return {
+    ...scope,
+    status: { $in: PUBLISHED_STATUSES },
+    publishedAt: { $gte: from, $lt: to },
+  };
+}
+
+// same periods as periodStart(), computed by MongoDB
+function periodExpression(field, interval) {
+  return {
+    $dateTrunc: { date: field, unit: interval, startOfWeek: "monday" },
+  };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// { medianHours, count } of durations in ms
+function durationStats(values) {
+  const ms = median(values);
+  return {
+    medianHours: ms === null ? null : Math.round((ms / HOUR_MS) * 100) / 100,
+    count: values.length,
+  };
+}
+
+// deleted editors keep their name in past statistics
+async function editorLabels(ids) {
+  const editors = await Editor.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .select("name")
+    .lean();
+  return new Map(editors.map((e) => [String(e._id), e.name]));
+}
+
+async function categoryLabels(slugs) {
+  const categories = await Category.find({ slug: { $in: slugs } })
+    .select("slug name")
+    .lean();
+  return new Map(categories.map((c) => [c.slug, c.name]));
+}
+
+/**
+ * Published articles per period, as one series (by "total") or one per
+ * editor / category (an article in two categories counts in both).
+ * Returns { interval, from, to, by, periods, series: [{ key, label,
+ * counts, total }], total } with counts aligned to periods, biggest series
+ * first.
+ */
+export async function publishedSeries(scope, range, by = "total") {
+  const { interval, periods } = range;
+  const pipeline = [{ $match: publishedMatch(scope, range) }];
+
+  if (by === "category") {
+    pipeline.push({
+      $unwind: { path: "$categories", preserveNullAndEmptyArrays: true },
+    });
+    // section editors: only their own categories
+    if (scope.categories) {
+      pipeline.push({ $match: { categories: scope.categories } });
+    }
+  }
+  const keyField = { editor: "$author", category: "$categories" }[by];
+
+  pipeline.push({
+    $group: {
+      _id: {
+        period: periodExpression("$publishedAt", interval),
+        key: keyField ?? null,
+      },
+      count: { $sum: 1 },
+    },
+  });
+
+  const rows = await Article.aggregate(pipeline);
+
+  const index = new Map(periods.map((p, i) => [p.getTime(), i]));
+  const byKey = new Map();
+  for (const row of rows) {
+    const key = row._id.key == null ? null : String(row._id.key);
+    if (!byKey.has(key)) byKey.set(key, new Array(periods.length).fill(0));
+    const i = index.get(row._id.period.getTime());
+    if (i !== undefined) byKey.get(key)[i] += row.count;
+  }
+  if (by === "total" && !byKey.size) {
+    byKey.set(null, new Array(periods.length).fill(0));
+  }
+
+  const keys = [...byKey.keys()].filter((key) => key !== null);
+  let labels = new Map();
+  if (by === "editor") labels = await editorLabels(keys);
+  if (by === "category") labels = await categoryLabels(keys);
+
+  const fallback = { total: "All", category: "Uncategorized" }[by];
+  const series = [...byKey].map(([key, counts]) => ({
+    key,
+    label: labels.get(key) ?? (key === null ? fallback : key),
+    counts,
+    total: counts.reduce((sum, n) => sum + n, 0),
+  }));
+  series.sort((a, b) => b.total - a.total);
+
+  return {
+    interval,
+    from: range.from,
+    to: range.to,
+    by,
+    periods,
+    series,
+    total: series.reduce((sum, s) => sum + s.total, 0),
+  };
+}
+
+/*
+ * Creation → publish and review → publish durations of the articles
+ * published in the range. submittedAt is the last submission, so for an
+ * article sent back and resubmitted this measures the final review round.
+ */
+async function publishDurations(scope, range) {
+  return Article.aggregate([
+    { $match: publishedMatch(scope, range) },
+    {
+      $project: {
+        _id: 0,
+        author: 1,
+        period: periodExpression("$publishedAt", range.interval),
+        toPublish: { $subtract: ["$publishedAt", "$createdAt"] },
+        reviewToPublish: {
+          $cond: [
+            { $eq: [{ $ifNull: ["$submittedAt", null] }, null] },
+            null,
+            { $subtract: ["$publishedAt", "$submittedAt"] },
+          ],
+        },
+      },
+    },
+  ]);
+}
+
+function timesOf(rows) {
+  return {
+    creationToPublish: durationStats(
+      rows.map((r) => r.toPublish).filter((ms) => ms >= 0)
+    ),
+    reviewToPublish: durationStats(
+      rows
+        .map((r) => r.reviewToPublish)
+        .filter((ms) => ms !== null && ms >= 0)
+    ),
+  };
+}
+
+/**
+ * Median hours from creation to publish and from (last) submission for
+ * review to publish, for the whole range and per period.
+ * Returns { interval, from, to, overall, periods: [{ start, ... }] }.
+ */
+export async function publishTimes(scope, range) {
+  const rows = await publishDurations(scope, range);
+
+  const perPeriod = new Map(range.periods.map((p) => [p.getTime(), []]));
+  for (const row of rows) perPeriod.get(row.period.getTime())?.push(row);
+
+  return {
+    interval: range.interval,
+    from: range.from,
+    to: range.to,
+    overall: timesOf(rows),
+    periods: range.periods.map((start) => ({
+      start,
+      ...timesOf(perPeriod.get(start.getTime())),
+    })),
+  };
+}
+
+async function countByAuthor(scope, field, { from, to }) {
+  const rows = await Article.aggregate([
+    { $match: { ...scope, [field]: { $gte: from, $lt: to } } },
+    { $group: { _id: "$author", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.count]));
+}
+
+/**
+ * Output of each editor in the range: articles created, submitted for
+ * review (last submission), published, and their median publish times.
+ * Unscoped, every editor is listed (zeros included); with a scope only the
+ * authors of articles in it. Emails only with `withEmail` (callers that
+ * manage users). Most published first.
+ */
+export async function editorOutput(scope, range, { withEmail = false } = {}) {
+  const scoped = Object.keys(scope).length > 0;
+  const [created, submitted, durations, staff] = await Promise.all([
+    countByAuthor(scope, "createdAt", range),
+    countByAuthor(scope, "submittedAt", range),
+    publishDurations(scope, range),
+    scoped ? [] : Editor.find().distinct("_id"),
+  ]);
+
+  const rowsByAuthor = new Map();
+  for (const row of durations) {
+    const id = String(row.author);
+    if (!rowsByAuthor.has(id)) rowsByAuthor.set(id, []);
+    rowsByAuthor.get(id).push(row);
+  }
+
+  // authors whose account was deleted since still show up with their output
+  const ids = new Set([
+    ...staff.map(String),
+    ...created.keys(),
+    ...submitted.keys(),
+    ...rowsByAuthor.keys(),
+  ]);
+  const editors = await Editor.find({ _id: { $in: [...ids] } })
+    .setOptions({ withDeleted: true })
+    .select(withEmail ? "name email" : "name")
+    .lean();
+
+  const result = editors.map((editor) => {
+    const id = String(editor._id);
+    const rows = rowsByAuthor.get(id) || [];
+    return {
+      editor: { id, name: editor.name, email: editor.email },
+      created: created.get(id) || 0,
+      submitted: submitted.get(id) || 0,
+      published: rows.length,
+      ...timesOf(rows),
+    };
+  });
+  result.sort(
+    (a, b) =>
+      b.published - a.published ||
+      b.created - a.created ||
+      String(a.editor.name).localeCompare(String(b.editor.name))
+  );
+
+  return { from: range.from, to: range.to, editors: result };
+}
+
+/* CSV rows (see utils/csv.js) for the results above */
+
+export function publishedSeriesCsvRows({ periods, series }) {
+  return series.flatMap((s) =>
+    periods.map((start, i) => ({
+      period: start,
+      key: s.key,
+      label: s.label,
+      published: s.counts[i],
+    }))
+  );
+}
+
+export function publishTimesCsvRows({ periods }) {
+  return periods.map((p) => ({
+    period: p.start,
+    creationToPublishHours: p.creationToPublish.medianHours,
+    creationToPublishCount: p.creationToPublish.count,
+    reviewToPublishHours: p.reviewToPublish.medianHours,
+    reviewToPublishCount: p.reviewToPublish.count,
+  }));
+}
+
+export function editorOutputCsvRows({ editors }) {
+  return editors.map((row) => ({
+    editorId: row.editor.id,
+    name: row.editor.name,
+    email: row.editor.email,
+    created: row.created,
+    submitted: row.submitted,
+    published: row.published,
+    creationToPublishHours: row.creationToPublish.medianHours,
+    reviewToPublishHours: row.reviewToPublish.medianHours,
+  }));
+}
+
+export const PUBLISHED_SERIES_CSV_COLUMNS = [
+  { key: "period", label: "period_start" },
+  { key: "key", label: "key" },
+  { key: "label", label: "label" },
+  { key: "published", label: "published" },
+];
+
+export const PUBLISH_TIMES_CSV_COLUMNS = [
+  { key: "period", label: "period_start" },
+  { key: "creationToPublishHours", label: "median_hours_creation_to_publish" },
+  { key: "creationToPublishCount", label: "articles" },
+  { key: "reviewToPublishHours", label: "median_hours_review_to_publish" },
+  { key: "reviewToPublishCount", label: "articles_reviewed" },
+];
+
+/** Columns for editorOutputCsvRows(); email only with `withEmail` */
+export function editorOutputCsvColumns({ withEmail = false } = {}) {
+  return [
+    { key: "editorId", label: "editor_id" },
+    { key: "name", label: "name" },
+    ...(withEmail ? [{ key: "email", label: "email" }] : []),
+    { key: "created", label: "created" },
+    { key: "submitted", label: "submitted" },
+    { key: "published", label: "published" },
+    {
+      key: "creationToPublishHours",
+      label: "median_hours_creation_to_publish",
+    },
+    { key: "reviewToPublishHours", label: "median_hours_review_to_publish" },
+  ];
+}
@@ -0,0 +1,42 @@
+// backend/utils/audit.js
+import AuditLog from "../models/AuditLog.js";
+
+/** { field: doc[field] } for the given fields */
+export function summarize(doc, fields) {
+  const summary = {};
+  for (const field of fields) {
+    const value = doc?.[field];
+    summary[field] = Array.isArray(value) ? [...value] : value;
+  }
+  return summary;
+}
+
+/**
+ * Write an audit entry. Never throws: a failed audit write is logged
+ * but must not fail the request that triggered it.
+ *
+ * entry = { action, target?: { type, id, label }, before?, after?, meta?,
+ *           actor?: { id, email } (defaults to req.user) }
+ */
+export async function recordAudit(req, entry) {
+  const { action, target, before, after, meta } = entry;
+  const actor = entry.actor || req.user;
+
+  try {
+    await AuditLog.create({
+      action,
+      actor: actor?.id,
+      actorEmail: actor?.email,
+      targetType: target?.type,
+      targetId: target?.id,
+      targetLabel: target?.label,
+      before,
+      after,
+      meta,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || "",
+    });
+  } catch (err) {
+    console.error("Audit log error:", err);
+  }
+}
@@ -0,0 +1,157 @@
+// backend/utils/authors.js
+import mongoose from "mongoose";
+import Article from "../models/Article.js";
+import Editor from "../models/Editor.js";
+import { resolveImage, PUBLIC_MEDIA_FIELDS } from "./media.js";
+
+/*
+ * Bylines and public author profiles. `author` owns an article, coAuthors
+ * share its byline and contributors are credited below it. Readers only
+ * ever get PUBLIC_AUTHOR_FIELDS of an editor: never the email, role or
+ * account state.
+ */
+
+export const PUBLIC_AUTHOR_FIELDS = "name slug bio avatar links";
+// what bylines on article cards and pages show
+export const BYLINE_FIELDS = "name slug avatar";
+
+export const MAX_CO_AUTHORS = 10;
+export const MAX_CONTRIBUTORS = 20;
+
+export const CREDIT_FIELDS = ["author", "coAuthors", "contributors"];
+
+function bylinePopulate(path) {
+  return {
+    path,
+    select: BYLINE_FIELDS,
+    populate: { path: "avatar", select: PUBLIC_MEDIA_FIELDS },
+  };
+}
+
+/**
+ * Populate the editors credited in `fields` (of CREDIT_FIELDS, default
+ * all) with what readers may see of them.
+ */
+export function populateCredits(query, fields = CREDIT_FIELDS) {
+  if (fields.includes("author")) query.populate(bylinePopulate("author"));
+  if (fields.includes("coAuthors")) {
+    query.populate(bylinePopulate("coAuthors"));
+  }
+  if (fields.includes("contributors")) {
+    query.populate({ path: "contributors.editor", select: "name slug" });
+  }
+  return query;
+}
+
+/** Articles with `editorId` in the byline (author or co-author) */
+export function bylineFilter(editorId) {
+  const id = new mongoose.Types.ObjectId(String(editorId));
+  return { $or: [{ author: id }, { coAuthors: id }] };
+}
+
+async function existingEditors(ids) {
+  const found = await Editor.find({ _id: { $in: ids } }).distinct("_id");
+  return found.length === ids.length;
+}
+
+/**
+ * Check an article's coAuthors input (editor ids). The owner is dropped
+ * from the list, duplicates too. Returns { error } or { coAuthors }.
+ */
+export async function resolveCoAuthors(input, authorId) {
+  const ids = [...new Set((input || []).map(String))].filter(
+    (id) => id !== String(authorId)
+  );
+  if (ids.length > MAX_CO_AUTHORS) {
+    return { error: `At most ${MAX_CO_AUTHORS} co-authors` };
+  }
+  if (!(await existingEditors(ids))) {
+    return { error: "coAuthors must be ids of editors" };
+  }
+  return { coAuthors: ids.map((id) => new mongoose.Types.ObjectId(id)) };
+}
+
+/**
+ * Check an article's contributors input: [{ editor?, name?, role }], an
+ * editor id for staff or a name for anyone else.
+ * Returns { error } or { contributors }.
+ */
+export async function resolveContributors(input) {
+  const list = input || [];
+  if (list.length > MAX_CONTRIBUTORS) {
+    return { error: `At most ${MAX_CONTRIBUTORS} contributors` };
+  }
+
+  const ids = [
+    ...new Set(list.filter((c) => c.editor).map((c) => String(c.editor))),
+  ];
+  if (!(await existingEditors(ids))) {
+    return { error: "contributors[].editor must be the id of an editor" };
+  }
+
+  return {
+    contributors: list.map(({ editor, name, role }) =>
+      editor
+        ? { editor: new mongoose.Types.ObjectId(String(editor)), role }
+        : { name, role }
+    ),
+  };
+}
+
+/**
+ * Apply profile input ({ bio?, avatar?, links? }, see authorProfile in
+ * middleware/validate.js) to `editor`. Returns an error message or null.
+ */
+export async function applyAuthorProfile(editor, { bio, avatar, links }) {
+  if (avatar !== undefined) {
+    const resolved = await resolveImage(avatar);
+    if (resolved.error) {
+      return "avatar must be the id of an item in the media library";
+    }
+    editor.avatar = resolved.image;
+  }
+  if (bio !== undefined) editor.bio = bio;
+  if (links !== undefined) editor.links = links;
+  return null;
+}
+
+/** Did the last changes touch anything readers see of `editor`? */
+export function publicProfileChanged(editor) {
+  return ["name", ...PUBLIC_AUTHOR_FIELDS.split(" ")].some((field) =>
+    editor.isModified(field)
+  );
+}
+
+/**
+ * Public profile of an editor by id or slug, with the number of live
+ * articles they are bylined on. Only editors with at least one are public,
+ * so staff accounts can't be looked up otherwise. Returns null for 404.
+ */
+export async function publicAuthor(idOrSlug) {
+  const filter = mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { $or: [{ _id: idOrSlug }, { slug: idOrSlug }] }
+    : { slug: idOrSlug };
+
+  const editor = await Editor.findOne(filter)
+    .select(PUBLIC_AUTHOR_FIELDS)
+    .populate("avatar", PUBLIC_MEDIA_FIELDS)
+    .lean();
+  if (!editor) return null;
+
+  const articleCount = await Article.countDocuments({
+    ...Article.publicFilter(),
+    ...bylineFilter(editor._id),
+  });
+  if (!articleCount) return null;
+
+  // picked one by one: nothing else may reach readers
+  return {
+    _id: editor._id,
+    name: editor.name,
+    slug: editor.slug,
+    bio: editor.bio || "",
+    avatar: editor.avatar || null,
+    links: (editor.links || []).map(({ label, url }) => ({ label, url })),
+    articleCount,
+  };
+}
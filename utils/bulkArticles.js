@@ -0,0 +1,208 @@
+// backend/utils/bulkArticles.js
+import Article from "../models/Article.js";
+import {
+  CAPABILITIES,
+  can,
+  articleScopeFilter,
+} from "../config/permissions.js";
+import { applyPublishing, STATUS_FIELDS } from "./publishing.js";
+import { isLockedFor } from "./workflow.js";
+import { saveWithRevision } from "./revisions.js";
+import { recordAudit, summarize } from "./audit.js";
+import { normalizeTag } from "./tags.js";
+import { trackPublicChange } from "./publicCache.js";
+import { trashArticle } from "./trash.js";
+
+const {
+  ARTICLE_EDIT_ANY,
+  ARTICLE_REVIEW,
+  ARTICLE_PUBLISH,
+  ARTICLE_DELETE,
+  USERS_MANAGE,
+} = CAPABILITIES;
+
+// most articles one bulk request may touch
+export const MAX_BULK_ARTICLES = 500;
+
+// action → capabilities (any of them) needed, on every article
+export const BULK_ARTICLE_ACTIONS = {
+  status: [ARTICLE_REVIEW, ARTICLE_PUBLISH],
+  add_categories: [ARTICLE_EDIT_ANY],
+  remove_categories: [ARTICLE_EDIT_ANY],
+  reassign: [USERS_MANAGE],
+  delete: [ARTICLE_DELETE],
+};
+
+/**
+ * Articles picked by explicit ids or by a filter
+ * ({ status?, category?, tag?, author? }), within what `user` may see.
+ * Returns { articles, missing } (requested ids not found or out of scope),
+ * or { error } when the filter matches more than MAX_BULK_ARTICLES.
+ */
+export async function selectArticles(user, { ids, filter }) {
+  const scope = articleScopeFilter(user);
+
+  if (ids) {
+    const unique = [...new Set(ids)];
+    const articles = await Article.find({
+      $and: [scope, { _id: { $in: unique } }],
+    });
+    const found = new Set(articles.map((article) => String(article._id)));
+    return { articles, missing: unique.filter((id) => !found.has(id)) };
+  }
+
+  const match = {};
+  if (filter.status) match.status = filter.status;
+  if (filter.category) match.categories = filter.category;
+  if (filter.tag) match.tags = normalizeTag(filter.tag);
+  if (filter.author) match.author = filter.author;
+
+  const query = { $and: [scope, match] };
+  const matched = await Article.countDocuments(query);
+  if (matched > MAX_BULK_ARTICLES) {
+    return {
+      error:
+        `Filter matches ${matched} articles, ` +
+        `at most ${MAX_BULK_ARTICLES} per request`,
+    };
+  }
+
+  return { articles: await Article.find(query), missing: [] };
+}
+
+const target = (article) => ({
+  type: "article",
+  id: article._id,
+  label: article.title,
+});
+
+function lockedError(user, article) {
+  return isLockedFor(user, article)
+    ? `Article is ${article.status} and can no longer be edited`
+    : null;
+}
+
+/*
+ * One handler per action: change and save a single article, write its
+ * audit entry. Returns an error message, or null when done.
+ */
+const HANDLERS = {
+  async status(req, article, { status, reason, scheduledAt, expiresAt }) {
+    const before = summarize(article, STATUS_FIELDS);
+    const invalidate = trackPublicChange(article);
+
+    const error = applyPublishing(
+      article,
+      { status, reason, scheduledAt, expiresAt },
+      { user: req.user, restampPublishedAt: true }
+    );
+    if (error) return error;
+
+    await saveWithRevision(article, req.user.id);
+    await invalidate();
+
+    await recordAudit(req, {
+      action: "article.status",
+      target: target(article),
+      before,
+      after: summarize(article, STATUS_FIELDS),
+      meta: { bulk: true, ...(reason ? { reason } : {}) },
+    });
+    return null;
+  },
+
+  async add_categories(req, article, { categories }) {
+    const locked = lockedError(req.user, article);
+    if (locked) return locked;
+
+    return changeCategories(req, article, [
+      ...new Set([...article.categories, ...categories]),
+    ]);
+  },
+
+  async remove_categories(req, article, { categories }) {
+    const locked = lockedError(req.user, article);
+    if (locked) return locked;
+
+    const remaining = article.categories.filter(
+      (category) => !categories.includes(category)
+    );
+    if (!remaining.length) return "An article needs at least one category";
+
+    return changeCategories(req, article, remaining);
+  },
+
+  async reassign(req, article, { author }) {
+    const before = { author: String(article.author) };
+    // drops the author pages of both the old and the new author
+    const invalidate = trackPublicChange(article);
+
+    article.author = author;
+    await article.save();
+    await invalidate();
+
+    await recordAudit(req, {
+      action: "article.reassign",
+      target: target(article),
+      before,
+      after: { author: String(author) },
+      meta: { bulk: true },
+    });
+    return null;
+  },
+
+  // to the trash, see utils/trash.js
+  async delete(req, article) {
+    await trashArticle(article, req.user.id);
+
+    await recordAudit(req, {
+      action: "article.trash",
+      target: target(article),
+      before: summarize(article, ["title", "status", "author"]),
+      meta: { bulk: true },
+    });
+    return null;
+  },
+};
+
+async function changeCategories(req, article, categories) {
+  const before = summarize(article, ["categories"]);
+  const invalidate = trackPublicChange(article);
+
+  article.categories = categories;
+  await saveWithRevision(article, req.user.id);
+  await invalidate();
+
+  await recordAudit(req, {
+    action: "article.update",
+    target: target(article),
+    before,
+    after: { ...summarize(article, ["categories"]), changed: ["categories"] },
+    meta: { bulk: true },
+  });
+  return null;
+}
+
+/**
+ * Apply input.action to each article, one at a time, with the same checks
+ * as the single-article routes. A failing article doesn't stop the others.
+ * Returns [{ id, ok, error? }].
+ */
+export async function runBulkAction(req, articles, input) {
+  const capabilities = BULK_ARTICLE_ACTIONS[input.action];
+  const results = [];
+
+  for (const article of articles) {
+    const id = String(article._id);
+    try {
+      const error = capabilities.some((cap) => can(req.user, cap, article))
+        ? await HANDLERS[input.action](req, article, input)
+        : "Not allowed";
+      results.push(error ? { id, ok: false, error } : { id, ok: true });
+    } catch (err) {
+      console.error(`Bulk ${input.action} error (article ${id}):`, err);
+      results.push({ id, ok: false, error: "Server error" });
+    }
+  }
+  return results;
+}
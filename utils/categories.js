@@ -0,0 +1,125 @@
+// backend/utils/categories.js
+import Article from "../models/Article.js";
+import Category, { DEFAULT_CATEGORIES } from "../models/Category.js";
+import Editor from "../models/Editor.js";
+import { invalidatePublic, LIST_TAG } from "./publicCache.js";
+
+/**
+ * Fill an empty collection with the categories the site started with.
+ * Runs once at startup.
+ */
+export async function seedCategories() {
+  if (await Category.exists({})) return;
+
+  await Category.insertMany(
+    DEFAULT_CATEGORIES.map((slug, i) => ({
+      name: slug.charAt(0).toUpperCase() + slug.slice(1),
+      slug,
+      order: i * 10,
+    }))
+  );
+  console.log(`🗂  Seeded ${DEFAULT_CATEGORIES.length} categories`);
+}
+
+/** Slugs of the categories that can be assigned right now, in order */
+export async function activeCategorySlugs() {
+  const rows = await Category.find({ active: true })
+    .sort({ order: 1, name: 1 })
+    .select("slug")
+    .lean();
+  return rows.map((row) => row.slug);
+}
+
+export async function isActiveCategory(slug) {
+  return Boolean(await Category.exists({ slug, active: true }));
+}
+
+/**
+ * Parse an article's categories input (array or comma separated string).
+ * Unknown or inactive slugs are an error, except ones the article already
+ * has (`current`). Empty input falls back to the first active category.
+ * Returns { error } or { categories }.
+ */
+export async function resolveCategories(input, current = []) {
+  let list = [];
+  if (Array.isArray(input)) {
+    list = input;
+  } else if (typeof input === "string" && input.trim()) {
+    list = input.split(",");
+  }
+
+  // lowercase + trim, no duplicates
+  list = [
+    ...new Set(list.map((c) => String(c).toLowerCase().trim()).filter(Boolean)),
+  ];
+
+  const active = await activeCategorySlugs();
+
+  if (!list.length) {
+    if (!active.length) return { error: "No categories are available" };
+    return { categories: [active[0]] };
+  }
+
+  const unknown = list.filter(
+    (c) => !active.includes(c) && !current.includes(c)
+  );
+  if (unknown.length) {
+    return { error: `Unknown categories: ${unknown.join(", ")}` };
+  }
+  return { categories: list };
+}
+
+/**
+ * Move everything filed under category slug `from` to `to` (rename or
+ * merge): article categories and section editor scopes, trashed articles
+ * and accounts included (they may be restored).
+ * Returns the number of articles changed.
+ */
+export async function moveCategory(from, to) {
+  if (from === to) return 0;
+
+  const all = { withDeleted: true };
+  const moved = await Article.find({ categories: from })
+    .setOptions(all)
+    .distinct("_id");
+
+  // add first, then pull: articles that already had `to` don't get it twice
+  const { modifiedCount } = await Article.updateMany(
+    { categories: from },
+    { $addToSet: { categories: to } }
+  ).setOptions(all);
+  await Article.updateMany(
+    { categories: from },
+    { $pull: { categories: from } }
+  ).setOptions(all);
+  if (moved.length) {
+    await invalidatePublic([LIST_TAG, ...moved.map((id) => `article:${id}`)]);
+  }
+
+  await Editor.updateMany(
+    { categories: from },
+    { $addToSet: { categories: to } }
+  ).setOptions(all);
+  await Editor.updateMany(
+    { categories: from },
+    { $pull: { categories: from } }
+  ).setOptions(all);
+
+  return modifiedCount;
+}
+
+/**
+ * { slug: count } of articles per category slug among articles matching
+ * `filter`.
+ */
+export async function categoryCounts(filter = {}) {
+  const rows = await Article.aggregate([
+    { $match: filter },
+    { $unwind: "$categories" },
+    { $group: { _id: "$categories", count: { $sum: 1 } } },
+  ]);
+
+  const counts = {};
+  for (const row of rows) counts[row._id] = row.count;
+  return counts;
+}
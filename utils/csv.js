@@ -0,0 +1,33 @@
+// backend/utils/csv.js
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value.toHexString === "function") text = String(value);
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+
+  // quote when needed, doubling quotes inside; a leading = + - @ is
+  // prefixed so spreadsheet apps don't run it as a formula
+  const safe =
+    typeof value === "string" && /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * CSV text from rows of objects. columns = [{ key, label }]
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map((c) => csvCell(c.label)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c.key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function sendCsv(res, filename, csv) {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(csv);
+}
@@ -0,0 +1,116 @@
+// backend/utils/errors.js
+import { STATUS_CODES } from "http";
+
+/*
+ * Every error response has the shape
+ *   { message, code, details? }
+ * code    machine readable, e.g. "validation_failed", "not_found"
+ * details [{ location, field, message }] for field-level problems
+ *         (location = body | query | params)
+ */
+
+export class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** Default code for a status: 404 → "not_found", 429 → "too_many_requests" */
+export function codeForStatus(status) {
+  return String(STATUS_CODES[status] || "error")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+export const badRequest = (message, details) =>
+  new HttpError(400, "bad_request", message, details);
+
+export const notFound = (message = "Not found") =>
+  new HttpError(404, "not_found", message);
+
+export const conflict = (message, details) =>
+  new HttpError(409, "conflict", message, details);
+
+/**
+ * Turn any thrown error into { status, body } in the shape above.
+ * Unknown errors become a 500 without internals.
+ */
+export function toErrorResponse(err) {
+  if (err instanceof HttpError) {
+    return {
+      status: err.status,
+      body: { message: err.message, code: err.code, details: err.details },
+    };
+  }
+
+  // mongoose schema validation (enum, required, min ...)
+  if (err?.name === "ValidationError" && err.errors) {
+    return {
+      status: 400,
+      body: {
+        message: "Validation failed",
+        code: "validation_failed",
+        details: Object.values(err.errors).map((e) => ({
+          location: "body",
+          field: e.path,
+          message: e.message,
+        })),
+      },
+    };
+  }
+
+  // a value that doesn't fit the schema type, e.g. a malformed ObjectId
+  if (err?.name === "CastError") {
+    return {
+      status: 400,
+      body: {
+        message: `Invalid value for ${err.path}`,
+        code: "invalid_value",
+        details: [{ field: err.path, message: `Invalid ${err.kind}` }],
+      },
+    };
+  }
+
+  // unique index violation
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return {
+      status: 409,
+      body: {
+        message: fields.length
+          ? `${fields.join(", ")} already exists`
+          : "Duplicate value",
+        code: "duplicate",
+        details: fields.map((field) => ({
+          location: "body",
+          field,
+          message: "Already taken",
+        })),
+      },
+    };
+  }
+
+  // body-parser
+  if (err?.type === "entity.parse.failed") {
+    return {
+      status: 400,
+      body: { message: "Malformed JSON body", code: "invalid_json" },
+    };
+  }
+  if (err?.type === "entity.too.large") {
+    return {
+      status: 413,
+      body: { message: "Request body is too large", code: "payload_too_large" },
+    };
+  }
+
+  return {
+    status: 500,
+    body: { message: "Server error", code: "server_error" },
+  };
+}
@@ -0,0 +1,251 @@
+// backend/utils/feeds.js
+import { SITE_URL, SITE_NAME, SITE_LANGUAGE } from "../config/site.js";
+
+// control characters that are not allowed anywhere in XML 1.0
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// CDATA can't contain "]]>", so split it across two sections
+function cdata(value) {
+  const text = String(value ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/]]>/g, "]]]]><![CDATA[>");
+  return `<![CDATA[${text}]]>`;
+}
+
+export function articleUrl(article) {
+  const key = article.slug ? encodeURIComponent(article.slug) : article._id;
+  return `${SITE_URL}/article/${key}`;
+}
+
+function imageType(url) {
+  const ext = String(url).split("?")[0].split(".").pop().toLowerCase();
+  return (
+    {
+      png: "image/png",
+      gif: "image/gif",
+      webp: "image/webp",
+      svg: "image/svg+xml",
+      avif: "image/avif",
+    }[ext] || "image/jpeg"
+  );
+}
+
+// absolute URL for an imageUrl (relative paths are resolved against the site)
+function absoluteUrl(url) {
+  if (/^https?:\/\//i.test(url)) return url;
+  return `${SITE_URL}/${String(url).replace(/^\/+/, "")}`;
+}
+
+/**
+ * Lead image of an article as { url, type, length }: the media library
+ * item when there is one, else the legacy imageUrl. Null without image.
+ */
+function articleImage(article) {
+  if (article.image?.url) {
+    return {
+      url: absoluteUrl(article.image.url),
+      type: article.image.mimeType || imageType(article.image.url),
+      length: article.image.size || 0,
+    };
+  }
+  if (article.imageUrl) {
+    // size is unknown, 0 is the accepted placeholder
+    return {
+      url: absoluteUrl(article.imageUrl),
+      type: imageType(article.imageUrl),
+      length: 0,
+    };
+  }
+  return null;
+}
+
+// author and co-authors (populated), in byline order
+function bylineNames(article) {
+  return [article.author, ...(article.coAuthors || [])]
+    .map((editor) => editor?.name)
+    .filter(Boolean);
+}
+
+// publicFilter() lets articles without publishedAt through as live
+function publishedDate(article) {
+  return new Date(article.publishedAt || article.createdAt);
+}
+
+function lastModified(article) {
+  return article.updatedAt || article.publishedAt || article.createdAt;
+}
+
+/** Newest update among the articles (now when there are none). */
+export function newestDate(articles) {
+  let newest = null;
+  for (const article of articles) {
+    const date = lastModified(article);
+    if (date && (!newest || date > newest)) newest = date;
+  }
+  return newest || new Date();
+}
+
+/**
+ * RSS 2.0 document.
+ * channel = { title, description, link, selfUrl }
+ */
+export function buildRss(channel, articles) {
+  const items = articles
+    .map((article) => {
+      const parts = [
+        `<title>${escapeXml(article.title)}</title>`,
+        `<link>${escapeXml(articleUrl(article))}</link>`,
+        `<guid isPermaLink="false">${article._id}</guid>`,
+        `<pubDate>${publishedDate(article).toUTCString()}</pubDate>`,
+        `<description>${escapeXml(article.summary || "")}</description>`,
+        `<content:encoded>${cdata(article.content)}</content:encoded>`,
+      ];
+
+      for (const name of bylineNames(article)) {
+        parts.push(`<dc:creator>${escapeXml(name)}</dc:creator>`);
+      }
+      for (const category of article.categories || []) {
+        parts.push(`<category>${escapeXml(category)}</category>`);
+      }
+      const image = articleImage(article);
+      if (image) {
+        parts.push(
+          `<enclosure url="${escapeXml(image.url)}" length="${image.length}" type="${image.type}"/>`
+        );
+      }
+
+      return `<item>${parts.join("")}</item>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+<title>${escapeXml(channel.title)}</title>
+<link>${escapeXml(channel.link)}</link>
+<description>${escapeXml(channel.description)}</description>
+<language>${escapeXml(SITE_LANGUAGE)}</language>
+<lastBuildDate>${newestDate(articles).toUTCString()}</lastBuildDate>
+<atom:link href="${escapeXml(channel.selfUrl)}" rel="self" type="application/rss+xml"/>
+${items}
+</channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0 document.
+ * channel = { title, description, link, selfUrl }
+ */
+export function buildAtom(channel, articles) {
+  const entries = articles
+    .map((article) => {
+      const parts = [
+        `<title>${escapeXml(article.title)}</title>`,
+        `<link rel="alternate" type="text/html" href="${escapeXml(articleUrl(article))}"/>`,
+        `<id>${escapeXml(articleUrl(article))}</id>`,
+        `<published>${publishedDate(article).toISOString()}</published>`,
+        `<updated>${new Date(lastModified(article)).toISOString()}</updated>`,
+        `<summary>${escapeXml(article.summary || "")}</summary>`,
+        `<content type="html">${escapeXml(article.content)}</content>`,
+      ];
+
+      const authors = bylineNames(article);
+      for (const name of authors.length ? authors : [SITE_NAME]) {
+        parts.push(`<author><name>${escapeXml(name)}</name></author>`);
+      }
+
+      for (const category of article.categories || []) {
+        parts.push(`<category term="${escapeXml(category)}"/>`);
+      }
+      const image = articleImage(article);
+      if (image) {
+        parts.push(
+          `<link rel="enclosure" type="${image.type}" href="${escapeXml(image.url)}"/>`
+        );
+      }
+
+      return `<entry>${parts.join("")}</entry>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(SITE_LANGUAGE)}">
+<title>${escapeXml(channel.title)}</title>
+<subtitle>${escapeXml(channel.description)}</subtitle>
+<link rel="alternate" type="text/html" href="${escapeXml(channel.link)}"/>
+<link rel="self" type="application/atom+xml" href="${escapeXml(channel.selfUrl)}"/>
+<id>${escapeXml(channel.link)}</id>
+<updated>${newestDate(articles).toISOString()}</updated>
+${entries}
+</feed>
+`;
+}
+
+/**
+ * Plain sitemap of article URLs.
+ */
+export function buildSitemap(articles) {
+  const urls = articles
+    .map(
+      (article) =>
+        `<url><loc>${escapeXml(articleUrl(article))}</loc><lastmod>${new Date(lastModified(article)).toISOString()}</lastmod></url>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+}
+
+/**
+ * Google News sitemap (only articles from the last 2 days belong in it).
+ */
+export function buildNewsSitemap(articles) {
+  const urls = articles
+    .map(
+      (article) =>
+        `<url><loc>${escapeXml(articleUrl(article))}</loc>` +
+        `<news:news><news:publication><news:name>${escapeXml(SITE_NAME)}</news:name>` +
+        `<news:language>${escapeXml(SITE_LANGUAGE)}</news:language></news:publication>` +
+        `<news:publication_date>${publishedDate(article).toISOString()}</news:publication_date>` +
+        `<news:title>${escapeXml(article.title)}</news:title></news:news></url>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+${urls}
+</urlset>
+`;
+}
+
+/**
+ * Sitemap index. sitemaps = [{ loc, lastmod }]
+ */
+export function buildSitemapIndex(sitemaps) {
+  const entries = sitemaps
+    .map(
+      ({ loc, lastmod }) =>
+        `<sitemap><loc>${escapeXml(loc)}</loc><lastmod>${new Date(lastmod).toISOString()}</lastmod></sitemap>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</sitemapindex>
+`;
+}
@@ -0,0 +1,106 @@
+// backend/utils/invitations.js
+import dotenv from "dotenv";
+import Invitation from "../models/Invitation.js";
+import Editor from "../models/Editor.js";
+import { generateSecret, hashToken, hashPassword } from "../config/auth.js";
+import { SITE_URL, SITE_NAME } from "../config/site.js";
+import { sendMail } from "./mailer.js";
+dotenv.config();
+
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+
+// frontend page that reads ?token= and calls /api/auth/invitations/accept
+const INVITATION_URL =
+  process.env.INVITATION_URL || `${SITE_URL}/accept-invitation`;
+
+/** Filter for invitations that can still be accepted */
+export function openInvitationFilter(extra = {}, now = new Date()) {
+  return { ...extra, status: "pending", expiresAt: { $gt: now } };
+}
+
+/**
+ * Give `invitation` a fresh token and expiry, save it and mail the link.
+ * Used for the first send and for resends: earlier links stop working.
+ */
+export async function sendInvitation(invitation, { invitedBy } = {}) {
+  const token = generateSecret();
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(
+    Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  const link = `${INVITATION_URL}?token=${encodeURIComponent(token)}`;
+  const place = `${SITE_NAME} as ${invitation.role}`;
+  const intro = invitedBy?.name
+    ? `${invitedBy.name} has invited you to ${place}.`
+    : `You have been invited to ${place}.`;
+
+  await sendMail({
+    to: invitation.email,
+    subject: `${SITE_NAME}: you are invited to join the newsroom`,
+    text: `Hi,
+
+${intro}
+
+Choose your name and password here (valid for ${INVITATION_TTL_DAYS} days, works once):
+${link}
+
+If you weren't expecting this, you can ignore this mail.`,
+  });
+}
+
+/** The open invitation for a token, or null */
+export async function findOpenInvitation(token) {
+  return Invitation.findOne(
+    openInvitationFilter({ tokenHash: hashToken(token) })
+  );
+}
+
+/**
+ * Accept an invitation: create the editor account with the chosen name and
+ * password. Returns { editor, invitation } or { error }.
+ */
+export async function acceptInvitation(token, { name, password }) {
+  const invitation = await findOpenInvitation(token);
+  if (!invitation) return { error: "Invitation is invalid or has expired" };
+
+  // deleted accounts keep their email until purged
+  const taken = await Editor.exists({ email: invitation.email }).setOptions({
+    withDeleted: true,
+  });
+  if (taken) return { error: "An account with this email already exists" };
+
+  // claim it first, so the same link can't create two accounts in parallel
+  const claimed = await Invitation.findOneAndUpdate(
+    openInvitationFilter({ _id: invitation._id }),
+    { status: "accepted", acceptedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return { error: "Invitation is invalid or has expired" };
+
+  let editor;
+  try {
+    editor = await Editor.create({
+      name,
+      email: claimed.email,
+      password: await hashPassword(password),
+      role: claimed.role,
+      categories: claimed.categories,
+    });
+  } catch (err) {
+    // hand the link back (e.g. the email was taken in the meantime)
+    await Invitation.updateOne(
+      { _id: claimed._id },
+      { status: "pending", acceptedAt: null }
+    );
+    throw err;
+  }
+
+  claimed.editor = editor._id;
+  await claimed.save();
+
+  return { editor, invitation: claimed };
+}
@@ -0,0 +1,243 @@
+// backend/utils/loginThrottle.js
+import dotenv from "dotenv";
+import LoginAttempt from "../models/LoginAttempt.js";
+dotenv.config();
+
+const MINUTE_MS = 60 * 1000;
+
+/*
+ * Failed logins are counted per account and per IP.
+ * After `freeAttempts` failures every further attempt must wait
+ * 1s, 2s, 4s ... (up to maxDelayMs); at `lockAfter` failures the key is
+ * locked for lockMs. Counters reset windowMs after the last failure.
+ */
+const POLICY = {
+  account: {
+    freeAttempts: 3,
+    lockAfter: 10,
+    maxDelayMs: 60 * 1000,
+    lockMs: 15 * MINUTE_MS,
+    windowMs: 15 * MINUTE_MS,
+  },
+  // one office / NAT shares an IP, so be more lenient
+  ip: {
+    freeAttempts: 10,
+    lockAfter: 50,
+    maxDelayMs: 60 * 1000,
+    lockMs: 15 * MINUTE_MS,
+    windowMs: 15 * MINUTE_MS,
+  },
+};
+
+/*
+ * Stores keep { failures, blockedUntil, lastFailureAt } per key:
+ *   get(key)                  → record | null
+ *   recordFailure(key, ttlMs) → record after adding one failure
+ *   block(key, until)
+ *   reset(key)
+ */
+
+// public endpoints write keys readers choose (comment emails), so the
+// memory store is capped; expired entries go first, then the oldest
+const MAX_MEMORY_ENTRIES = 100000;
+
+export function createMemoryStore({ maxEntries = MAX_MEMORY_ENTRIES } = {}) {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  function makeRoom() {
+    if (entries.size < maxEntries) return;
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+    // still full: forget the oldest entries (Map keeps insertion order)
+    for (const key of entries.keys()) {
+      if (entries.size < maxEntries * 0.9) break;
+      entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      return live(key);
+    },
+    async recordFailure(key, ttlMs) {
+      let entry = live(key);
+      if (!entry) {
+        makeRoom();
+        entry = { failures: 0, blockedUntil: null };
+      }
+      entry.failures += 1;
+      entry.lastFailureAt = new Date();
+      entry.expiresAt = Math.max(
+        Date.now() + ttlMs,
+        entry.blockedUntil ? entry.blockedUntil.getTime() : 0
+      );
+      entries.set(key, entry);
+      return entry;
+    },
+    async block(key, until) {
+      const entry = live(key);
+      if (!entry) return;
+      entry.blockedUntil = until;
+      entry.expiresAt = Math.max(entry.expiresAt, until.getTime());
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// shared between instances; TTL index cleans up, expiresAt is also checked
+export function createMongoStore() {
+  return {
+    async get(key) {
+      return LoginAttempt.findOne({
+        key,
+        expiresAt: { $gt: new Date() },
+      }).lean();
+    },
+    async recordFailure(key, ttlMs) {
+      const now = new Date();
+      await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+      return LoginAttempt.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now },
+          $max: { expiresAt: new Date(now.getTime() + ttlMs) },
+        },
+        { upsert: true, new: true, lean: true }
+      );
+    },
+    async block(key, until) {
+      await LoginAttempt.updateOne(
+        { key },
+        { $set: { blockedUntil: until }, $max: { expiresAt: until } }
+      );
+    },
+    async reset(key) {
+      await LoginAttempt.deleteOne({ key });
+    },
+  };
+}
+
+let store =
+  process.env.LOGIN_THROTTLE_STORE === "mongo"
+    ? createMongoStore()
+    : createMemoryStore();
+
+/** Swap the store (e.g. a Redis implementation of the same methods) */
+export function setLoginThrottleStore(next) {
+  store = next;
+}
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+function delayFor(failures, policy) {
+  const over = failures - policy.freeAttempts;
+  if (over <= 0) return 0;
+  return Math.min(1000 * 2 ** (over - 1), policy.maxDelayMs);
+}
+
+/**
+ * Is a login attempt allowed right now?
+ * Returns { blocked: false } or { blocked: true, retryAfterMs, scope }.
+ */
+export async function checkLogin(email, ip) {
+  const now = Date.now();
+  const checks = [
+    ["account", await store.get(accountKey(email))],
+    ["ip", await store.get(ipKey(ip))],
+  ];
+
+  let result = { blocked: false };
+  for (const [scope, record] of checks) {
+    const until = record?.blockedUntil ? new Date(record.blockedUntil) : null;
+    if (until && until.getTime() > now) {
+      const retryAfterMs = until.getTime() - now;
+      if (!result.blocked || retryAfterMs > result.retryAfterMs) {
+        result = { blocked: true, retryAfterMs, scope };
+      }
+    }
+  }
+  return result;
+}
+
+async function failKey(key, policy) {
+  const record = await store.recordFailure(key, policy.windowMs);
+  const wait =
+    record.failures >= policy.lockAfter
+      ? policy.lockMs
+      : delayFor(record.failures, policy);
+
+  if (wait) await store.block(key, new Date(Date.now() + wait));
+}
+
+export async function recordLoginFailure(email, ip) {
+  await Promise.all([
+    failKey(accountKey(email), POLICY.account),
+    failKey(ipKey(ip), POLICY.ip),
+  ]);
+}
+
+// only the account counter resets; one good password shouldn't clear an IP
+export async function recordLoginSuccess(email) {
+  await store.reset(accountKey(email));
+}
+
+/**
+ * Simple rate limit on the same store, for other public endpoints: `key`
+ * may be hit `limit` times; the count resets windowMs after the last hit.
+ * Going over blocks the key for windowMs.
+ * Returns { blocked: false } or { blocked: true, retryAfterMs }.
+ */
+export async function hitRateLimit(key, { limit, windowMs }) {
+  const existing = await store.get(key);
+  const until = existing?.blockedUntil
+    ? new Date(existing.blockedUntil).getTime()
+    : 0;
+  if (until > Date.now()) {
+    return { blocked: true, retryAfterMs: until - Date.now() };
+  }
+
+  const record = await store.recordFailure(key, windowMs);
+  if (record.failures > limit) {
+    await store.block(key, new Date(Date.now() + windowMs));
+    return { blocked: true, retryAfterMs: windowMs };
+  }
+  return { blocked: false };
+}
+
+/**
+ * Lockout state of an account, for admins.
+ */
+export async function getAccountLockout(email) {
+  const record = await store.get(accountKey(email));
+  const blockedUntil = record?.blockedUntil
+    ? new Date(record.blockedUntil)
+    : null;
+  const locked = Boolean(blockedUntil && blockedUntil > new Date());
+
+  return {
+    failures: record?.failures || 0,
+    lastFailureAt: record?.lastFailureAt || null,
+    locked,
+    blockedUntil: locked ? blockedUntil : null,
+  };
+}
+
+export async function clearAccountLockout(email) {
+  await store.reset(accountKey(email));
+}
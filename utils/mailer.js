@@ -0,0 +1,106 @@
+// backend/utils/mailer.js
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import { SITE_NAME } from "../config/site.js";
+dotenv.config();
+
+/*
+ * Mail goes through a transport with one method: send({ to, subject, text, html }).
+ * MAIL_TRANSPORT picks it:
+ *   smtp    → SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_SECURE
+ *   file    → one JSON file per mail in MAIL_DIR (default mail-outbox in
+ *             the OS temp dir, away from the repo: mails carry live links)
+ *   console → printed to stdout (default, for development)
+ * With NODE_ENV=production MAIL_TRANSPORT has to be set: reset and
+ * invitation links must not end up in the logs.
+ */
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || `${SITE_NAME} <no-reply@newsone.live>`;
+
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  secure = process.env.SMTP_SECURE === "true",
+} = {}) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      await transporter.sendMail({ from: MAIL_FROM, ...message });
+    },
+  };
+}
+
+export function createFileTransport(
+  dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "mail-outbox")
+) {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(
+        dir,
+        `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+      );
+      const mail = { from: MAIL_FROM, date: new Date(), ...message };
+      await fs.writeFile(file, JSON.stringify(mail, null, 2));
+      return file;
+    },
+  };
+}
+
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      console.log(
+        `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+      );
+    },
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+/** Replace the transport (tests, or a custom provider) */
+export function setMailTransport(next) {
+  transport = next;
+}
+
+function getTransport() {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+      throw new Error("MAIL_TRANSPORT must be set in production");
+    }
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const create = TRANSPORTS[name];
+    if (!create) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    transport = create();
+  }
+  return transport;
+}
+
+/**
+ * Send one mail: { to, subject, text, html? }
+ */
+export async function sendMail(message) {
+  return getTransport().send(message);
+}
@@ -0,0 +1,126 @@
+// backend/utils/media.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Media from "../models/Media.js";
+import { getMediaStorage } from "./mediaStorage.js";
+dotenv.config();
+
+// accepted uploads → file extension. No SVG: it can carry scripts.
+export const MEDIA_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+};
+
+export const MEDIA_MAX_BYTES =
+  Number(process.env.MEDIA_MAX_BYTES) || 10 * 1024 * 1024;
+
+// what readers get for an article image
+export const PUBLIC_MEDIA_FIELDS = "url alt caption credit mimeType size";
+
+/**
+ * Actual type of an image from its first bytes (null when unknown).
+ * The client's Content-Type is not trusted.
+ */
+export function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") return "image/png";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(4, 8) === "ftyp" && ["avif", "avis"].includes(ascii(8, 12))) {
+    return "image/avif";
+  }
+  return null;
+}
+
+function storageKey(mimeType, now = new Date()) {
+  const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+  const name = crypto.randomBytes(16).toString("hex");
+  return `${now.getUTCFullYear()}/${month}/${name}.${MEDIA_TYPES[mimeType]}`;
+}
+
+/**
+ * Validate an uploaded file ({ buffer, size, originalname }, as multer gives
+ * it), store it and create its Media document.
+ * Returns { error } or { media }.
+ */
+export async function storeUpload(file, uploadedBy, { alt, caption, credit }) {
+  if (!file) return { error: "A file is required (form field \"file\")" };
+  if (file.size > MEDIA_MAX_BYTES) {
+    return { error: `File is larger than ${MEDIA_MAX_BYTES} bytes` };
+  }
+
+  const mimeType = sniffImageType(file.buffer);
+  if (!MEDIA_TYPES[mimeType]) {
+    return {
+      error: `Unsupported file type, expected one of: ${Object.keys(
+        MEDIA_TYPES
+      ).join(", ")}`,
+    };
+  }
+
+  const storage = getMediaStorage();
+  const key = storageKey(mimeType);
+  const url = await storage.save(key, file.buffer, { mimeType });
+
+  try {
+    const media = await Media.create({
+      storageKey: key,
+      driver: storage.name,
+      url,
+      originalName: file.originalname,
+      mimeType,
+      size: file.size,
+      alt,
+      caption,
+      credit,
+      uploadedBy,
+    });
+    return { media };
+  } catch (err) {
+    // don't leave an orphaned file behind
+    await storage.remove(key).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Delete the stored file and the Media document.
+ */
+export async function removeMedia(media) {
+  await getMediaStorage().remove(media.storageKey);
+  await media.deleteOne();
+}
+
+/**
+ * Resolve an article's `image` input: a Media id, or null / "" to clear.
+ * Returns { error } or { image } (an ObjectId or null).
+ */
+export async function resolveImage(value) {
+  if (value === null || value === "") return { image: null };
+
+  if (
+    !mongoose.Types.ObjectId.isValid(value) ||
+    !(await Media.exists({ _id: value }))
+  ) {
+    return { error: "image must be the id of an item in the media library" };
+  }
+  return { image: new mongoose.Types.ObjectId(String(value)) };
+}
+
+/**
+ * For public responses: copy the expanded image URL into imageUrl, so
+ * clients that only know imageUrl keep working. Takes lean documents.
+ */
+export function withImageUrl(article) {
+  if (article?.image?.url) article.imageUrl = article.image.url;
+  return article;
+}
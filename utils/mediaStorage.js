@@ -0,0 +1,68 @@
+// backend/utils/mediaStorage.js
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+dotenv.config();
+
+/*
+ * Uploaded files go through a storage driver with two methods:
+ *   save(key, buffer, { mimeType }) → public URL of the stored file
+ *   remove(key)
+ * MEDIA_STORAGE picks it:
+ *   local → files under MEDIA_DIR (default ./uploads), served by index.js at
+ *           /uploads. URLs start with MEDIA_BASE_URL (default /uploads); set
+ *           it to an absolute URL when the API runs on another host.
+ * Other backends (S3, a CDN ...) plug in with setMediaStorage().
+ */
+
+export const MEDIA_DIR = process.env.MEDIA_DIR || "uploads";
+
+export function createLocalStorage({
+  dir = MEDIA_DIR,
+  baseUrl = process.env.MEDIA_BASE_URL || "/uploads",
+} = {}) {
+  const root = path.resolve(dir);
+
+  // keys are generated server side, but never write outside the folder
+  function fileFor(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid media key "${key}"`);
+    }
+    return file;
+  }
+
+  return {
+    name: "local",
+    async save(key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer, { flag: "wx" });
+      return `${baseUrl.replace(/\/+$/, "")}/${key}`;
+    },
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+const DRIVERS = {
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+/** Replace the storage driver (tests, or a custom backend) */
+export function setMediaStorage(next) {
+  storage = next;
+}
+
+export function getMediaStorage() {
+  if (!storage) {
+    const name = process.env.MEDIA_STORAGE || "local";
+    const create = DRIVERS[name];
+    if (!create) throw new Error(`Unknown MEDIA_STORAGE "${name}"`);
+    storage = create();
+  }
+  return storage;
+}
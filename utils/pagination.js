@@ -0,0 +1,65 @@
+// backend/utils/pagination.js
+import mongoose from "mongoose";
+
+/**
+ * Opaque cursor: base64url JSON so clients can't depend on its shape.
+ */
+export function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString("base64url");
+}
+
+/**
+ * Returns the decoded object, or null when the cursor is malformed.
+ */
+export function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    return data && typeof data === "object" ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keyset pagination on a date field with _id as tie-breaker.
+ * The sort must be { [field]: direction, _id: direction }.
+ *
+ * Returns the filter for "rows after this cursor", or null when the
+ * cursor doesn't belong to this kind of listing.
+ */
+export function dateKeysetFilter(field, direction, cursor) {
+  const data = decodeCursor(cursor);
+  if (!data || !data.v || !mongoose.Types.ObjectId.isValid(data.id)) {
+    return null;
+  }
+
+  const value = new Date(data.v);
+  if (Number.isNaN(value.getTime())) return null;
+
+  const id = new mongoose.Types.ObjectId(String(data.id));
+  const op = direction < 0 ? "$lt" : "$gt";
+
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } },
+    ],
+  };
+}
+
+/**
+ * Trim a "limit + 1" result set and build the cursor for the next page.
+ */
+export function dateKeysetPage(docs, limit, field) {
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  const last = page[page.length - 1];
+
+  return {
+    items: page,
+    nextCursor:
+      hasMore && last[field]
+        ? encodeCursor({ v: last[field], id: last._id })
+        : null,
+  };
+}
@@ -0,0 +1,77 @@
+// backend/utils/passwordReset.js
+import dotenv from "dotenv";
+import PasswordReset from "../models/PasswordReset.js";
+import Editor from "../models/Editor.js";
+import { generateSecret, hashToken, hashPassword } from "../config/auth.js";
+import { SITE_URL, SITE_NAME } from "../config/site.js";
+import { sendMail } from "./mailer.js";
+import { revokeAllSessions } from "./sessions.js";
+dotenv.config();
+
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// frontend page that reads ?token= and calls /api/auth/password-reset/confirm
+const RESET_URL =
+  process.env.PASSWORD_RESET_URL || `${SITE_URL}/reset-password`;
+
+/**
+ * Create a reset link for `user` and mail it.
+ * Earlier unused links for the same user stop working.
+ */
+export async function sendPasswordReset(user, { requestedBy } = {}) {
+  await PasswordReset.deleteMany({ user: user._id, usedAt: null });
+
+  const token = generateSecret();
+  await PasswordReset.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    requestedBy: requestedBy || user._id,
+    expiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000),
+  });
+
+  const link = `${RESET_URL}?token=${encodeURIComponent(token)}`;
+  const intro = requestedBy
+    ? `An administrator has reset the password of your ${SITE_NAME} account.`
+    : `Someone (hopefully you) asked to reset the password of your ${SITE_NAME} account.`;
+
+  await sendMail({
+    to: user.email,
+    subject: `${SITE_NAME}: reset your password`,
+    text: `Hi ${user.name},
+
+${intro}
+
+Choose a new password here (valid for ${RESET_TTL_MINUTES} minutes, works once):
+${link}
+
+If you didn't ask for this, you can ignore this mail.`,
+  });
+}
+
+/**
+ * Use a reset token to set a new password.
+ * Returns the editor, or null if the token is unknown, used or expired.
+ */
+export async function resetPasswordWithToken(token, newPassword) {
+  // mark as used first, so the same token can't be used twice in parallel
+  const reset = await PasswordReset.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+  if (!reset) return null;
+
+  const editor = await Editor.findById(reset.user);
+  if (!editor) return null;
+
+  editor.password = await hashPassword(newPassword);
+  // chosen by the editor themself
+  editor.mustChangePassword = false;
+  await editor.save();
+  await revokeAllSessions(editor._id);
+
+  return editor;
+}
@@ -0,0 +1,170 @@
+// backend/utils/publicCache.js
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { getResponseCache, RESPONSE_CACHE_TTL_MS } from "./responseCache.js";
+import { sameValue } from "./revisions.js";
+dotenv.config();
+
+/*
+ * Cache for the public article list and detail responses.
+ * Entries are tagged with what they show, so a change drops exactly the
+ * responses containing it:
+ *   article-lists          every list page
+ *   article:<id>           each article in the response
+ *   author:<id>, media:<id> credited editors (bylines, contributors,
+ *                          profiles) and images
+ * Responses carry ETag / Last-Modified; Express answers conditional
+ * requests that still match with 304.
+ */
+
+export const LIST_TAG = "article-lists";
+
+// how long browsers and CDNs may reuse a response without revalidating;
+// short, because they never hear about invalidations
+const MAX_AGE = Number(process.env.PUBLIC_CACHE_MAX_AGE ?? 60);
+
+// a change to one of these can move an article into or out of a list
+// (filters, search, sort order), not only change its card
+const LIST_FIELDS = [
+  "status",
+  "title",
+  "summary",
+  "content",
+  "categories",
+  "tags",
+  "publishedAt",
+  "expiresAt",
+];
+
+/** Same rule as Article.publicFilter(), for a loaded article */
+export function isPublic(article, now = new Date()) {
+  return (
+    article.status === "published" &&
+    (!article.publishedAt || article.publishedAt <= now) &&
+    (!article.expiresAt || article.expiresAt > now)
+  );
+}
+
+/** Ids (strings) of the editors credited on an article */
+function creditedEditors(article) {
+  // populated documents or plain ids
+  const editors = [
+    article.author,
+    ...(article.coAuthors || []),
+    ...(article.contributors || []).map((c) => c.editor),
+  ];
+  return editors.filter(Boolean).map((editor) => String(editor._id ?? editor));
+}
+
+/** Tags for a response showing these (lean) articles */
+export function articleTags(articles) {
+  const tags = [];
+  for (const article of articles) {
+    tags.push(`article:${article._id}`);
+    for (const id of creditedEditors(article)) tags.push(`author:${id}`);
+    const image = article.image?._id ?? article.image;
+    if (image) tags.push(`media:${image}`);
+  }
+  return tags;
+}
+
+function sendEntry(res, entry, hit) {
+  res.set({
+    "Cache-Control": `public, max-age=${MAX_AGE}`,
+    ETag: entry.etag,
+    "Last-Modified": entry.lastModified,
+    "X-Cache": hit ? "HIT" : "MISS",
+  });
+  // res.send turns this into a 304 when If-None-Match / If-Modified-Since
+  // still match
+  res.type("json").send(entry.json);
+}
+
+/**
+ * Answer from the cache, or build the response and cache it.
+ * build() returns { body, tags, lastModified?, ttlMs?, meta? }, or null
+ * after answering the request itself (404, redirect ...), which is not
+ * cached. Returns the entry that was sent (meta included), or null.
+ */
+export async function sendCached(res, key, build) {
+  const cache = getResponseCache();
+
+  // a broken cache backend must not take the public site down
+  const cached = await cache.get(key).catch((err) => {
+    console.error("Response cache get error:", err);
+    return undefined;
+  });
+  if (cached) {
+    sendEntry(res, cached, true);
+    return cached;
+  }
+
+  const result = await build();
+  if (!result) return null;
+
+  const json = JSON.stringify(result.body);
+  const entry = {
+    json,
+    etag: `"${crypto.createHash("sha1").update(json).digest("base64url")}"`,
+    lastModified: new Date(result.lastModified || Date.now()).toUTCString(),
+    meta: result.meta,
+  };
+
+  // never past RESPONSE_CACHE_TTL_MS (build may ask for less)
+  const ttlMs = Math.max(
+    Math.min(result.ttlMs ?? Infinity, RESPONSE_CACHE_TTL_MS),
+    0
+  );
+  await cache
+    .set(key, entry, { tags: result.tags, ttlMs })
+    .catch((err) => console.error("Response cache set error:", err));
+
+  sendEntry(res, entry, false);
+  return entry;
+}
+
+/** Drop cached responses with any of these tags */
+export async function invalidatePublic(tags) {
+  try {
+    return await getResponseCache().invalidate(tags);
+  } catch (err) {
+    console.error("Response cache invalidate error:", err);
+    return 0;
+  }
+}
+
+/**
+ * Call before changing an article, then call the returned function after
+ * saving it. Drafts never reach the cache, so only articles that are or
+ * were public drop anything: their own entries, the author pages of
+ * editors added to or removed from the credits, and every list page when
+ * the change can move them into or out of a list.
+ */
+export function trackPublicChange(article) {
+  const wasPublic = isPublic(article);
+  const before = LIST_FIELDS.map((field) => {
+    const value = article[field];
+    return Array.isArray(value) ? [...value] : value;
+  });
+  const creditedBefore = new Set(creditedEditors(article));
+
+  return async () => {
+    const nowPublic = isPublic(article);
+    if (!wasPublic && !nowPublic) return 0;
+
+    const tags = [`article:${article._id}`];
+    const moved = LIST_FIELDS.some(
+      (field, i) => !sameValue(before[i], article[field])
+    );
+    if (wasPublic !== nowPublic || moved) tags.push(LIST_TAG);
+
+    const creditedNow = new Set(creditedEditors(article));
+    for (const id of new Set([...creditedBefore, ...creditedNow])) {
+      if (!creditedBefore.has(id) || !creditedNow.has(id)) {
+        tags.push(`author:${id}`);
+      }
+    }
+
+    return invalidatePublic(tags);
+  };
+}
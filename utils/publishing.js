@@ -0,0 +1,108 @@
+// backend/utils/publishing.js
+import { ARTICLE_STATUSES } from "../models/Article.js";
+import { transitionError } from "./workflow.js";
+
+// article fields summarized in status-change audit entries
+export const STATUS_FIELDS = [
+  "status",
+  "publishedAt",
+  "scheduledAt",
+  "expiresAt",
+];
+
+/**
+ * Parse an optional date from a request body.
+ * undefined = not supplied, null = clear it, false = invalid.
+ */
+function parseOptionalDate(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? false : date;
+}
+
+/**
+ * Apply status / scheduledAt / expiresAt (and a review reason) from a
+ * request to an article, following the workflow in utils/workflow.js.
+ * Returns an error message for a 400 response, or null when applied.
+ *
+ * options.user               req.user, checked against the workflow and
+ *                            recorded as reviewer on approve / request changes
+ * options.restampPublishedAt always reset publishedAt when publishing
+ */
+export function applyPublishing(
+  article,
+  { status, scheduledAt, expiresAt, reason },
+  { user, restampPublishedAt = false, now = new Date() }
+) {
+  const scheduleDate = parseOptionalDate(scheduledAt);
+  const expiryDate = parseOptionalDate(expiresAt);
+
+  if (scheduleDate === false) return "Invalid scheduledAt date";
+  if (expiryDate === false) return "Invalid expiresAt date";
+
+  if (status !== undefined) {
+    if (!ARTICLE_STATUSES.includes(status)) return "Invalid status value";
+
+    const moveError = transitionError(
+      article.isNew ? null : article.status,
+      status,
+      user,
+      article
+    );
+    if (moveError) return moveError;
+  }
+
+  const changing = status !== undefined && status !== article.status;
+  const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+
+  if (changing && status === "changes_requested" && !trimmedReason) {
+    return "A reason is required when requesting changes";
+  }
+
+  if (scheduleDate !== undefined) article.scheduledAt = scheduleDate;
+  if (expiryDate !== undefined) article.expiresAt = expiryDate;
+
+  if (status === "scheduled") {
+    if (!article.scheduledAt || article.scheduledAt <= now) {
+      return "scheduledAt must be a future date to schedule an article";
+    }
+    article.status = "scheduled";
+    article.publishedAt = undefined;
+  } else if (status === "published") {
+    article.status = "published";
+    if (restampPublishedAt || !article.publishedAt) {
+      article.publishedAt = now;
+    }
+  } else if (status !== undefined) {
+    article.status = status;
+  }
+
+  if (changing && status === "in_review") {
+    article.submittedAt = now;
+  }
+
+  // last review decision, shown to the author
+  if (changing && ["approved", "changes_requested"].includes(status)) {
+    article.review = {
+      decision: status,
+      reason: trimmedReason,
+      reviewer: user?.id,
+      reviewedAt: now,
+    };
+  }
+
+  const touched = status !== undefined || expiryDate !== undefined;
+  const live = ["scheduled", "published"].includes(article.status);
+
+  if (touched && live && article.expiresAt) {
+    const goesLiveAt =
+      article.status === "scheduled" ? article.scheduledAt : now;
+    if (article.expiresAt <= goesLiveAt) {
+      return "expiresAt must be after the article goes live";
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,193 @@
+// backend/utils/readerComments.js
+import mongoose from "mongoose";
+import ReaderComment, {
+  MAX_COMMENT_NAME_LENGTH as MAX_NAME_LENGTH,
+  MAX_COMMENT_BODY_LENGTH as MAX_BODY_LENGTH,
+} from "../models/ReaderComment.js";
+import Setting from "../models/Setting.js";
+import { hitRateLimit } from "./loginThrottle.js";
+
+const BANNED_WORDS_KEY = "comments.bannedWords";
+
+const MINUTE_MS = 60 * 1000;
+// posting limits, so one visitor can't flood the moderation queue
+const COMMENT_RATE_LIMITS = {
+  ip: { limit: 10, windowMs: 10 * MINUTE_MS },
+  email: { limit: 5, windowMs: 10 * MINUTE_MS },
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// fields readers may see
+const PUBLIC_COMMENT_FIELDS = "parent name body createdAt";
+
+/**
+ * Count a comment post from this IP / email against the posting limits.
+ * Returns { blocked: false } or { blocked: true, retryAfterMs }.
+ */
+export async function checkCommentRate(ip, email) {
+  const results = await Promise.all([
+    hitRateLimit(`comment:ip:${ip}`, COMMENT_RATE_LIMITS.ip),
+    hitRateLimit(
+      `comment:email:${String(email).toLowerCase().trim()}`,
+      COMMENT_RATE_LIMITS.email
+    ),
+  ]);
+  const blocked = results.filter((r) => r.blocked);
+  if (!blocked.length) return { blocked: false };
+  return {
+    blocked: true,
+    retryAfterMs: Math.max(...blocked.map((r) => r.retryAfterMs)),
+  };
+}
+
+export async function getBannedWords() {
+  return Setting.getValue(BANNED_WORDS_KEY, []);
+}
+
+/**
+ * Replace the banned word list. Words are matched case-insensitively as
+ * whole words; entries can be phrases ("buy now").
+ * Returns the stored list.
+ */
+export async function setBannedWords(words, updatedBy) {
+  const list = [
+    ...new Set(
+      [].concat(words || []).map((w) => String(w).toLowerCase().trim())
+    ),
+  ].filter(Boolean);
+
+  await Setting.setValue(BANNED_WORDS_KEY, list, updatedBy);
+  return list;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Banned words / phrases that occur in `text` as whole words */
+export function findBannedWords(text, words) {
+  const haystack = String(text || "").toLowerCase();
+  return words.filter((word) =>
+    new RegExp(
+      `(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`,
+      "u"
+    ).test(haystack)
+  );
+}
+
+/**
+ * Approved comments of an article as a tree, oldest first. Replies whose
+ * parent is not visible are left out, not promoted to the top level.
+ */
+export async function listPublicThread(articleId) {
+  const comments = await ReaderComment.find({
+    article: articleId,
+    status: "approved",
+  })
+    .sort({ createdAt: 1 })
+    .select(PUBLIC_COMMENT_FIELDS)
+    .lean();
+
+  const byId = new Map();
+  for (const comment of comments) {
+    comment.replies = [];
+    byId.set(String(comment._id), comment);
+  }
+
+  const thread = [];
+  for (const comment of comments) {
+    if (!comment.parent) {
+      thread.push(comment);
+    } else {
+      byId.get(String(comment.parent))?.replies.push(comment);
+    }
+  }
+  return { comments: thread, count: comments.length };
+}
+
+/**
+ * Post a reader comment on a live article (the caller checks that).
+ * input = { name, email, body, parentId? }
+ * Comments wait in the moderation queue; banned words send them to spam.
+ * Returns { error } or { comment }.
+ */
+export async function postReaderComment(article, input, req) {
+  const name = String(input.name || "").trim();
+  const email = String(input.email || "").trim();
+  const body = String(input.body || "").trim();
+
+  if (!name || !email || !body) {
+    return { error: "Name, email and comment are required" };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Name is longer than ${MAX_NAME_LENGTH} characters` };
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return { error: `Comment is longer than ${MAX_BODY_LENGTH} characters` };
+  }
+  if (!EMAIL_PATTERN.test(email)) {
+    return { error: "Invalid email address" };
+  }
+
+  const { parentId } = input;
+  if (parentId) {
+    const parent =
+      mongoose.Types.ObjectId.isValid(parentId) &&
+      (await ReaderComment.exists({
+        _id: parentId,
+        article: article._id,
+        status: "approved",
+      }));
+    if (!parent) return { error: "Parent comment not found on this article" };
+  }
+
+  const flagged = findBannedWords(`${name} ${body}`, await getBannedWords());
+
+  const comment = await ReaderComment.create({
+    article: article._id,
+    parent: parentId || null,
+    name,
+    email,
+    body,
+    status: flagged.length ? "spam" : "pending",
+    flaggedWords: flagged.length ? flagged : undefined,
+    ip: req.ip,
+    userAgent: req.get("user-agent") || "",
+  });
+
+  return { comment };
+}
+
+/**
+ * Set the status of many comments at once.
+ * Returns the number of comments changed.
+ */
+export async function moderateComments(ids, status, moderatorId) {
+  const { modifiedCount } = await ReaderComment.updateMany(
+    { _id: { $in: ids }, status: { $ne: status } },
+    { status, moderatedBy: moderatorId, moderatedAt: new Date() }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Delete comments and every reply below them.
+ * Returns the number of comments removed.
+ */
+export async function deleteComments(ids) {
+  let toDelete = ids.map((id) => new mongoose.Types.ObjectId(String(id)));
+  let deleted = 0;
+
+  // walk down the reply tree one level at a time
+  while (toDelete.length) {
+    const replies = await ReaderComment.find({ parent: { $in: toDelete } })
+      .distinct("_id");
+    const { deletedCount } = await ReaderComment.deleteMany({
+      _id: { $in: toDelete },
+    });
+    deleted += deletedCount;
+    toDelete = replies;
+  }
+  return deleted;
+}
@@ -0,0 +1,121 @@
+// backend/utils/responseCache.js
+import dotenv from "dotenv";
+dotenv.config();
+
+/*
+ * Cached responses go through a cache driver with four async methods:
+ *   get(key)                        → stored value, or undefined
+ *   set(key, value, { ttlMs, tags })
+ *   invalidate(tags)                → number of entries dropped
+ *   clear()
+ * Values are plain JSON-able objects and invalidation works on tags
+ * ("article:<id>" ...), so a shared backend (Redis: a key per entry plus a
+ * set of keys per tag) can implement the same interface.
+ * RESPONSE_CACHE picks it:
+ *   memory → per process (default), at most RESPONSE_CACHE_MAX_ENTRIES
+ *            (default 500), least recently used dropped first
+ *   off    → nothing is cached
+ * With several API instances, the memory cache of the others only notices
+ * changes once entries expire (RESPONSE_CACHE_TTL_MS, default 10 minutes);
+ * plug in a shared backend with setResponseCache() there.
+ */
+
+export const RESPONSE_CACHE_TTL_MS =
+  Number(process.env.RESPONSE_CACHE_TTL_MS) || 10 * 60 * 1000;
+
+export function createMemoryCache({
+  maxEntries = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500,
+} = {}) {
+  // key → { value, expiresAt, tags }, in least recently used order
+  const entries = new Map();
+  // tag → Set of keys
+  const tagged = new Map();
+
+  function drop(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+
+    entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = tagged.get(tag);
+      keys.delete(key);
+      if (!keys.size) tagged.delete(tag);
+    }
+    return true;
+  }
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        drop(key);
+        return undefined;
+      }
+      // move to the back: most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, { ttlMs = RESPONSE_CACHE_TTL_MS, tags = [] } = {}) {
+      drop(key);
+      const unique = [...new Set(tags)];
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs, tags: unique });
+      for (const tag of unique) {
+        if (!tagged.has(tag)) tagged.set(tag, new Set());
+        tagged.get(tag).add(key);
+      }
+      while (entries.size > maxEntries) drop(entries.keys().next().value);
+    },
+    async invalidate(tags) {
+      let dropped = 0;
+      for (const tag of [].concat(tags)) {
+        for (const key of [...(tagged.get(tag) || [])]) {
+          if (drop(key)) dropped++;
+        }
+      }
+      return dropped;
+    },
+    async clear() {
+      entries.clear();
+      tagged.clear();
+    },
+  };
+}
+
+export function createNoCache() {
+  return {
+    name: "off",
+    async get() {
+      return undefined;
+    },
+    async set() {},
+    async invalidate() {
+      return 0;
+    },
+    async clear() {},
+  };
+}
+
+const DRIVERS = {
+  memory: createMemoryCache,
+  off: createNoCache,
+};
+
+let cache = null;
+
+/** Replace the cache driver (tests, or a shared backend) */
+export function setResponseCache(next) {
+  cache = next;
+}
+
+export function getResponseCache() {
+  if (!cache) {
+    const name = process.env.RESPONSE_CACHE || "memory";
+    const create = DRIVERS[name];
+    if (!create) throw new Error(`Unknown RESPONSE_CACHE "${name}"`);
+    cache = create();
+  }
+  return cache;
+}
@@ -0,0 +1,66 @@
+// backend/utils/reviewComments.js
+import mongoose from "mongoose";
+import ReviewComment from "../models/ReviewComment.js";
+import { populateWithDeleted } from "./softDelete.js";
+
+// comments can be added while the article is being reviewed / reworked
+export const COMMENTABLE_STATUSES = ["in_review", "changes_requested"];
+
+/**
+ * All comments of an article as a tree: top-level comments with nested
+ * `replies`, oldest first.
+ */
+export async function listCommentThread(articleId) {
+  const comments = await ReviewComment.find({ article: articleId })
+    .sort({ createdAt: 1 })
+    .populate(populateWithDeleted("author", "name role"))
+    .lean();
+
+  const byId = new Map();
+  for (const comment of comments) {
+    comment.replies = [];
+    byId.set(String(comment._id), comment);
+  }
+
+  const thread = [];
+  for (const comment of comments) {
+    const parent = comment.parent && byId.get(String(comment.parent));
+    if (parent) parent.replies.push(comment);
+    else thread.push(comment);
+  }
+  return thread;
+}
+
+/**
+ * Add a comment (or reply) to an article.
+ * Returns { error } for a 400 response, or { comment }.
+ */
+export async function addComment(article, authorId, { body, parentId }) {
+  if (!COMMENTABLE_STATUSES.includes(article.status)) {
+    return { error: "Comments are only allowed while the article is in review" };
+  }
+
+  if (!body || !String(body).trim()) {
+    return { error: "Comment body is required" };
+  }
+
+  if (parentId) {
+    if (!mongoose.Types.ObjectId.isValid(parentId)) {
+      return { error: "Parent comment not found on this article" };
+    }
+    const parent = await ReviewComment.findOne({
+      _id: parentId,
+      article: article._id,
+    }).select("_id");
+    if (!parent) return { error: "Parent comment not found on this article" };
+  }
+
+  const comment = await ReviewComment.create({
+    article: article._id,
+    author: authorId,
+    body: String(body),
+    parent: parentId || null,
+  });
+
+  return { comment: await comment.populate("author", "name role") };
+}
@@ -0,0 +1,128 @@
+// backend/utils/revisions.js
+import ArticleRevision, {
+  REVISION_FIELDS,
+} from "../models/ArticleRevision.js";
+
+function snapshot(article) {
+  const snap = {};
+  for (const field of REVISION_FIELDS) {
+    const value = article[field];
+    snap[field] = Array.isArray(value) ? [...value] : value;
+  }
+  return snap;
+}
+
+export function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  // String() so ObjectIds (image) compare by value
+  return String(a ?? "") === String(b ?? "");
+}
+
+/**
+ * Articles written before revisions existed have none: keep their stored
+ * state as revision 1 before the first edit replaces it.
+ */
+async function keepOriginal(article) {
+  if (await ArticleRevision.exists({ article: article._id })) return;
+
+  const stored = await article.constructor
+    .findById(article._id)
+    .setOptions({ withDeleted: true })
+    .lean();
+  if (!stored) return;
+
+  try {
+    await ArticleRevision.create({
+      article: article._id,
+      number: 1,
+      ...snapshot(stored),
+      status: stored.status,
+      note: "Before revision history",
+    });
+  } catch (err) {
+    // a concurrent save kept it first
+    if (err.code !== 11000) throw err;
+  }
+}
+
+/**
+ * Save an article and store the result as a new revision.
+ * Saves that touch none of the tracked fields (or status) don't add one.
+ */
+export async function saveWithRevision(article, editorId, note) {
+  const changed =
+    article.isNew ||
+    article.isModified("status") ||
+    REVISION_FIELDS.some((field) => article.isModified(field));
+
+  if (changed && !article.isNew) await keepOriginal(article);
+  await article.save();
+  if (!changed) return null;
+
+  // two saves racing for the same number: retry once with a fresh number
+  for (let attempt = 0; ; attempt++) {
+    const last = await ArticleRevision.findOne({ article: article._id })
+      .sort({ number: -1 })
+      .select("number");
+
+    try {
+      return await ArticleRevision.create({
+        article: article._id,
+        number: last ? last.number + 1 : 1,
+        ...snapshot(article),
+        status: article.status,
+        editedBy: editorId,
+        note,
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt > 0) throw err;
+    }
+  }
+}
+
+/**
+ * Field-level diff between two revisions (older first).
+ * Strings report { from, to }, arrays also list added / removed items.
+ */
+export function diffRevisions(from, to) {
+  const changes = {};
+
+  for (const field of REVISION_FIELDS) {
+    const before = from[field];
+    const after = to[field];
+    if (sameValue(before, after)) continue;
+
+    if (Array.isArray(before) || Array.isArray(after)) {
+      const prev = before || [];
+      const next = after || [];
+      changes[field] = {
+        from: prev,
+        to: next,
+        added: next.filter((v) => !prev.includes(v)),
+        removed: prev.filter((v) => !next.includes(v)),
+      };
+    } else {
+      changes[field] = { from: before ?? "", to: after ?? "" };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Copy a revision back onto the article as the current draft.
+ */
+export async function restoreRevision(article, revision, editorId) {
+  for (const field of REVISION_FIELDS) {
+    article[field] = revision[field];
+  }
+  article.status = "draft";
+
+  return saveWithRevision(
+    article,
+    editorId,
+    `Restored from revision ${revision.number}`
+  );
+}
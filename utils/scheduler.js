@@ -0,0 +1,85 @@
+// backend/utils/scheduler.js
+import Article from "../models/Article.js";
+import { invalidatePublic, LIST_TAG } from "./publicCache.js";
+import { purgeTrash } from "./trash.js";
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * One scheduler pass:
+ *  - scheduled articles whose scheduledAt has passed become published
+ *  - published articles whose expiresAt has passed become archived
+ */
+export async function runScheduledTransitions(now = new Date()) {
+  const published = await Article.updateMany(
+    { status: "scheduled", scheduledAt: { $lte: now } },
+    // publishedAt = the planned time, not the (later) tick time
+    [{ $set: { status: "published", publishedAt: "$scheduledAt" } }],
+    { updatePipeline: true }
+  );
+
+  const archived = await Article.updateMany(
+    { status: "published", expiresAt: { $lte: now } },
+    { $set: { status: "archived" } }
+  );
+
+  // cached article pages expire on their own at expiresAt; lists don't
+  if (published.modifiedCount || archived.modifiedCount) {
+    await invalidatePublic(LIST_TAG);
+  }
+
+  return {
+    published: published.modifiedCount,
+    archived: archived.modifiedCount,
+  };
+}
+
+async function tick() {
+  // skip if the previous pass is still going (slow DB)
+  if (running) return;
+  running = true;
+  try {
+    const { published, archived } = await runScheduledTransitions();
+    if (published || archived) {
+      console.log(
+        `⏰ Scheduler: ${published} published, ${archived} archived`
+      );
+    }
+
+    // trash past TRASH_RETENTION_DAYS, see utils/trash.js
+    const purged = await purgeTrash();
+    if (purged.articles || purged.editors) {
+      console.log(
+        `🗑️ Trash: ${purged.articles} article(s), ` +
+          `${purged.editors} editor(s) purged`
+      );
+    }
+  } catch (err) {
+    console.error("Scheduler error:", err);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the in-process scheduler (safe to call more than once).
+ * Interval comes from SCHEDULER_INTERVAL_MS, default 1 minute.
+ */
+export function startScheduler(
+  intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+) {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  // don't keep the process alive just for the scheduler
+  timer.unref();
+}
+
+export function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,102 @@
+// backend/utils/search.js
+
+const SNIPPET_RADIUS = 80;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function stripTags(html) {
+  return String(html || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Terms to highlight from a $text search string:
+ * "quoted phrases" stay together, -negated words are dropped.
+ */
+export function searchTerms(search) {
+  const terms = [];
+  const rest = String(search).replace(/"([^"]+)"/g, (_, phrase) => {
+    terms.push(phrase.trim());
+    return " ";
+  });
+
+  for (const word of rest.split(/\s+/)) {
+    if (word.startsWith("-")) continue;
+    // punctuation isn't part of a term for the text index either
+    terms.push(word.replace(/^\W+|\W+$/g, ""));
+  }
+  return terms.filter(Boolean);
+}
+
+// word-prefix match, so stemmed hits ("elect" → "elections") get marked too
+function termsRegex(terms) {
+  if (!terms.length) return null;
+  const alternatives = terms
+    .map((t) => escapeRegExp(t))
+    .sort((a, b) => b.length - a.length)
+    .join("|");
+  return new RegExp(`\\b(?:${alternatives})\\w*`, "gi");
+}
+
+/**
+ * HTML-escape `text` and wrap matches in <mark>.
+ */
+export function highlight(text, terms) {
+  const plain = stripTags(text);
+  const regex = termsRegex(terms);
+  if (!regex) return escapeHtml(plain);
+
+  let out = "";
+  let last = 0;
+  for (const match of plain.matchAll(regex)) {
+    out += escapeHtml(plain.slice(last, match.index));
+    out += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return out + escapeHtml(plain.slice(last));
+}
+
+/**
+ * Short highlighted excerpt around the first match (null when none).
+ */
+export function snippet(text, terms, radius = SNIPPET_RADIUS) {
+  const plain = stripTags(text);
+  const regex = termsRegex(terms);
+  if (!regex) return null;
+
+  const match = regex.exec(plain);
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - radius);
+  const end = Math.min(plain.length, match.index + match[0].length + radius);
+
+  return (
+    (start > 0 ? "…" : "") +
+    highlight(plain.slice(start, end), terms) +
+    (end < plain.length ? "…" : "")
+  );
+}
+
+/**
+ * Highlights for one search result.
+ */
+export function articleHighlights(article, terms) {
+  return {
+    title: highlight(article.title, terms),
+    summary: snippet(article.summary, terms),
+    content: snippet(article.content, terms),
+  };
+}
@@ -0,0 +1,130 @@
+// backend/utils/sessions.js
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import Editor from "../models/Editor.js";
+import {
+  generateToken,
+  generateSecret,
+  hashToken,
+  REFRESH_TOKEN_TTL_DAYS,
+} from "../config/auth.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// refresh token = "<sessionId>.<secret>", only the secret's hash is stored
+function splitRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function tokensFor(user, session, secret) {
+  return {
+    token: generateToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+}
+
+/**
+ * Start a new session (login). Returns { token, refreshToken, session }.
+ */
+export async function createSession(user, req) {
+  const secret = generateSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+  });
+
+  return { ...tokensFor(user, session, secret), session };
+}
+
+/**
+ * Swap a refresh token for a new access + refresh token pair.
+ * Returns null when the token is unknown, expired or revoked.
+ *
+ * A token that was already rotated away is a sign it leaked, so the
+ * whole session gets revoked in that case.
+ */
+export async function rotateSession(refreshToken, req) {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return null;
+
+  const now = new Date();
+  const secret = generateSecret();
+
+  // compare-and-swap, so two refreshes with the same token can't both win
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parts.sessionId,
+      tokenHash: hashToken(parts.secret),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      tokenHash: hashToken(secret),
+      lastUsedAt: now,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || "",
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      { _id: parts.sessionId, revokedAt: null },
+      { revokedAt: now }
+    );
+    return null;
+  }
+
+  const user = await Editor.findById(session.user);
+  if (!user || user.status === "suspended") {
+    await revokeSession(session._id);
+    return null;
+  }
+
+  return { ...tokensFor(user, session, secret), user };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (if it matches).
+ */
+export async function revokeByRefreshToken(refreshToken) {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return false;
+
+  const result = await Session.updateOne(
+    {
+      _id: parts.sessionId,
+      tokenHash: hashToken(parts.secret),
+      revokedAt: null,
+    },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+}
+
+export async function revokeSession(sessionId, userId) {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  const result = await Session.updateOne(filter, { revokedAt: new Date() });
+  return result.modifiedCount > 0;
+}
+
+/** Log a user out everywhere (password change, reset, deletion) */
+export async function revokeAllSessions(userId) {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+/** Still usable: not revoked and not expired */
+export function activeSessionFilter(extra = {}) {
+  return { ...extra, revokedAt: null, expiresAt: { $gt: new Date() } };
+}
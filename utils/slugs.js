@@ -0,0 +1,71 @@
+// backend/utils/slugs.js
+
+const MAX_SLUG_LENGTH = 80;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * URL slug from a title.
+ * Latin accents are dropped ("Café" → "cafe"); other scripts are kept as
+ * unicode letters so e.g. Hindi titles still get a readable slug.
+ * `fallback` is returned when nothing usable is left.
+ */
+export function slugify(title, fallback = "article") {
+  const slug = String(title || "")
+    .normalize("NFKD")
+    // only strip marks that sit on a latin letter, Devanagari etc. need theirs
+    .replace(/([a-zA-Z])\p{M}+/gu, "$1")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+
+  const trimmed = [...slug].slice(0, MAX_SLUG_LENGTH).join("").replace(/-+$/, "");
+  return trimmed || fallback;
+}
+
+/**
+ * First free slug for `base` in `Model` ("base", "base-2", "base-3" ...).
+ * Current and previous slugs of other documents both count as taken,
+ * deleted ones included (they keep their slug when restored).
+ */
+export async function uniqueSlug(Model, base, excludeId) {
+  const pattern = new RegExp(`^${escapeRegExp(base)}(?:-(\\d+))?$`);
+  const filter = { $or: [{ slug: pattern }, { previousSlugs: pattern }] };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const taken = new Set();
+  const docs = await Model.find(filter)
+    .select("slug previousSlugs")
+    .setOptions({ withDeleted: true })
+    .lean();
+  for (const doc of docs) {
+    for (const slug of [doc.slug, ...(doc.previousSlugs || [])]) {
+      if (slug && pattern.test(slug)) taken.add(slug);
+    }
+  }
+
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+/**
+ * Give every document that has no slug yet one (articles created before
+ * slugs existed). Runs once at startup, saving triggers the slug hook.
+ */
+export async function backfillSlugs(Model) {
+  let count = 0;
+  for await (const doc of Model.find({ slug: null })) {
+    try {
+      await doc.save();
+      count++;
+    } catch (err) {
+      console.error(`Slug backfill failed for ${doc._id}:`, err.message);
+    }
+  }
+  if (count) console.log(`🔗 Slugs generated for ${count} ${Model.modelName}(s)`);
+}
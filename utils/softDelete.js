@@ -0,0 +1,73 @@
+// backend/utils/softDelete.js
+import mongoose from "mongoose";
+
+/*
+ * Mongoose plugin: documents are deleted by setting deletedAt (see
+ * utils/trash.js) and every query and aggregation on the model leaves them
+ * out, so routes need no extra filter. To see them anyway:
+ *   Model.find(filter).setOptions({ withDeleted: true })   everything
+ *   Model.find({ deletedAt: { $ne: null } })               only the trash
+ * (a filter with a top-level deletedAt, or a first $match with one, is
+ * left alone).
+ * Saving a loaded document is not a query and is never filtered.
+ */
+
+const QUERY_HOOKS = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+];
+
+// pipeline stages MongoDB only accepts in first position
+const LEADING_STAGES = ["$geoNear", "$search", "$searchMeta", "$vectorSearch"];
+
+// query / aggregate option, removed before anything reaches the driver
+function takeWithDeleted(options) {
+  const withDeleted = Boolean(options?.withDeleted);
+  if (options) delete options.withDeleted;
+  return withDeleted;
+}
+
+export function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Editor" },
+  });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (takeWithDeleted(this.options)) return;
+    if ("deletedAt" in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (takeWithDeleted(this.options)) return;
+
+    const pipeline = this.pipeline();
+    const at = LEADING_STAGES.some((stage) => pipeline[0]?.[stage]) ? 1 : 0;
+    const match = pipeline[at]?.$match;
+
+    if (match && "deletedAt" in match) return;
+    if (match) {
+      // a new object: the caller may reuse its filter
+      pipeline[at] = { $match: { ...match, deletedAt: null } };
+    } else {
+      pipeline.splice(at, 0, { $match: { deletedAt: null } });
+    }
+  });
+}
+
+/**
+ * populate() argument that also resolves deleted documents, for history
+ * (who edited, reviewed, uploaded ...) that should keep showing names.
+ */
+export function populateWithDeleted(path, select) {
+  return { path, select, options: { withDeleted: true } };
+}
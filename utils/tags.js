@@ -0,0 +1,68 @@
+// backend/utils/tags.js
+import Article from "../models/Article.js";
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** "  Climate   Change " → "climate change" */
+export function normalizeTag(value) {
+  return String(value ?? "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Parse an article's tags input (array or comma separated string).
+ * Returns { error } or { tags }.
+ */
+export function parseTags(input) {
+  let list = [];
+  if (Array.isArray(input)) {
+    list = input;
+  } else if (typeof input === "string") {
+    list = input.split(",");
+  } else if (input != null) {
+    return { error: "tags must be a list or a comma separated string" };
+  }
+
+  const tags = [...new Set(list.map(normalizeTag).filter(Boolean))];
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `At most ${MAX_TAGS} tags per article` };
+  }
+  const tooLong = tags.find((tag) => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    return { error: `Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH}` };
+  }
+  return { tags };
+}
+
+/**
+ * Most used tags among articles matching `filter`, optionally only the
+ * ones starting with `prefix` (autocomplete).
+ * Returns [{ tag, count }], most used first.
+ */
+export async function tagCounts(filter = {}, { prefix, limit = 20 } = {}) {
+  const match = { ...filter };
+  const start = normalizeTag(prefix);
+  const pattern = start ? new RegExp(`^${escapeRegExp(start)}`) : null;
+  // anchored regex on the multikey index narrows the articles first
+  if (pattern) match.tags = pattern;
+
+  const pipeline = [{ $match: match }, { $unwind: "$tags" }];
+  if (pattern) pipeline.push({ $match: { tags: pattern } });
+  pipeline.push(
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  );
+
+  const rows = await Article.aggregate(pipeline);
+  return rows.map((row) => ({ tag: row._id, count: row.count }));
+}
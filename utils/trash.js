@@ -0,0 +1,165 @@
+// backend/utils/trash.js
+import dotenv from "dotenv";
+import Article from "../models/Article.js";
+import ArticleRevision from "../models/ArticleRevision.js";
+import ArticleViewBucket from "../models/ArticleViewBucket.js";
+import Editor from "../models/Editor.js";
+import PasswordReset from "../models/PasswordReset.js";
+import ReaderComment from "../models/ReaderComment.js";
+import ReviewComment from "../models/ReviewComment.js";
+import Session from "../models/Session.js";
+import { CAPABILITIES, can } from "../config/permissions.js";
+import { isLockedFor } from "./workflow.js";
+import { dateKeysetFilter, dateKeysetPage } from "./pagination.js";
+import { populateWithDeleted } from "./softDelete.js";
+import { invalidatePublic, isPublic, LIST_TAG } from "./publicCache.js";
+dotenv.config();
+
+/*
+ * Deleting an article or an editor account moves it to the trash
+ * (deletedAt, see utils/softDelete.js). It can be restored until it is
+ * purged for good, TRASH_RETENTION_DAYS (default 30) after deletion, by
+ * the scheduler.
+ */
+
+const { ARTICLE_EDIT_OWN, ARTICLE_DELETE } = CAPABILITIES;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRASH_RETENTION_DAYS =
+  Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// filter for documents in the trash
+export const IN_TRASH = { deletedAt: { $ne: null } };
+
+/** When a trashed document will be purged */
+export function purgeDate(doc) {
+  return new Date(doc.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+/**
+ * One page of trashed documents of `Model` matching `filter`, most
+ * recently deleted first, each with its purgeAt date.
+ * Returns { items, nextCursor }, or null for a malformed cursor.
+ */
+export async function trashPage(Model, filter, { limit, cursor, select }) {
+  const query = { ...filter, ...IN_TRASH };
+  if (cursor) {
+    const after = dateKeysetFilter("deletedAt", -1, cursor);
+    if (!after) return null;
+    query.$and = [after];
+  }
+
+  const docs = await Model.find(query)
+    .sort({ deletedAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .select(select)
+    .populate(populateWithDeleted("deletedBy", "name email"))
+    .lean();
+
+  const { items, nextCursor } = dateKeysetPage(docs, limit, "deletedAt");
+  return {
+    items: items.map((doc) => ({ ...doc, purgeAt: purgeDate(doc) })),
+    nextCursor,
+  };
+}
+
+/**
+ * May `user` move `article` to the trash (or back)? With article.delete
+ * any article (category-scoped), otherwise only their own while they may
+ * still edit it.
+ */
+export function canTrash(user, article) {
+  if (can(user, ARTICLE_DELETE, article)) return true;
+  return (
+    String(article.author) === user.id &&
+    can(user, ARTICLE_EDIT_OWN) &&
+    !isLockedFor(user, article)
+  );
+}
+
+export async function trashArticle(article, userId) {
+  const wasPublic = isPublic(article);
+
+  article.deletedAt = new Date();
+  article.deletedBy = userId;
+  await article.save();
+
+  if (wasPublic) await invalidatePublic([`article:${article._id}`, LIST_TAG]);
+}
+
+export async function restoreArticle(article) {
+  article.deletedAt = null;
+  article.deletedBy = undefined;
+  await article.save();
+
+  // back on the site: the (uncached) 404 doesn't matter, lists do
+  if (isPublic(article)) await invalidatePublic(LIST_TAG);
+}
+
+/** Delete a (trashed) article with its revisions, comments and views */
+export async function purgeArticle(article) {
+  await article.deleteOne();
+  await Promise.all([
+    ArticleRevision.deleteMany({ article: article._id }),
+    ReviewComment.deleteMany({ article: article._id }),
+    ReaderComment.deleteMany({ article: article._id }),
+    ArticleViewBucket.deleteMany({ article: article._id }),
+  ]);
+}
+
+export async function trashEditor(editor, userId) {
+  editor.deletedAt = new Date();
+  editor.deletedBy = userId;
+  await editor.save();
+}
+
+export async function restoreEditor(editor) {
+  editor.deletedAt = null;
+  editor.deletedBy = undefined;
+  await editor.save();
+}
+
+/**
+ * Delete a (trashed) editor account with its sessions and reset links, and
+ * drop their co-author bylines and contributor credits.
+ * Audit entries keep the id and email.
+ */
+export async function purgeEditor(editor) {
+  await editor.deleteOne();
+  await Promise.all([
+    Session.deleteMany({ user: editor._id }),
+    PasswordReset.deleteMany({ user: editor._id }),
+    Article.updateMany(
+      { coAuthors: editor._id },
+      { $pull: { coAuthors: editor._id } }
+    ).setOptions({ withDeleted: true }),
+    Article.updateMany(
+      { "contributors.editor": editor._id },
+      { $pull: { contributors: { editor: editor._id } } }
+    ).setOptions({ withDeleted: true }),
+  ]);
+}
+
+/**
+ * Purge everything that has been in the trash for longer than
+ * TRASH_RETENTION_DAYS. Returns { articles, editors } purged.
+ */
+export async function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  const expired = { deletedAt: { $lte: cutoff } };
+
+  let articles = 0;
+  for await (const article of Article.find(expired)) {
+    await purgeArticle(article);
+    articles++;
+  }
+
+  let editors = 0;
+  for await (const editor of Editor.find(expired)) {
+    await purgeEditor(editor);
+    editors++;
+  }
+
+  return { articles, editors };
+}
@@ -0,0 +1,165 @@
+// backend/utils/twoFactor.js
+import crypto from "crypto";
+import dotenv from "dotenv";
+import Setting from "../models/Setting.js";
+import { JWT_SECRET, hashToken } from "../config/auth.js";
+import { SITE_NAME } from "../config/site.js";
+import { generateTotpSecret, verifyTotp, otpauthUri } from "./totp.js";
+dotenv.config();
+
+/*
+ * Optional TOTP second factor for logins:
+ *   setup   → a pending secret + otpauth URI for the authenticator app
+ *   confirm → a first code enables it and returns one-time recovery codes
+ *   login   → password, then a challenge answered with a code or a
+ *             recovery code (routes/authRoutes.js)
+ * Roles listed in the "auth.twoFactorRoles" setting can't use anything but
+ * the setup routes until they have enrolled (middleware/auth.js).
+ * Secrets are stored AES-256-GCM encrypted with TWO_FACTOR_KEY (default: a
+ * key derived from JWT_SECRET), recovery codes only as hashes.
+ */
+
+const REQUIRED_ROLES_KEY = "auth.twoFactorRoles";
+// the setting is read on every authenticated request
+const REQUIRED_ROLES_CACHE_MS = 30 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+
+const KEY = crypto
+  .createHash("sha256")
+  .update(process.env.TWO_FACTOR_KEY || JWT_SECRET)
+  .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", KEY, iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString();
+}
+
+// "abcde-fghjk"; dashes, spaces and case don't matter when typed back
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/** Fresh recovery codes: { codes } for the user, { hashes } to store */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    let code = "";
+    for (let j = 0; j < 10; j++) {
+      const index = crypto.randomInt(RECOVERY_CODE_ALPHABET.length);
+      code += RECOVERY_CODE_ALPHABET[index];
+    }
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  const hashes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+  return { codes, hashes };
+}
+
+/**
+ * Start (or restart) enrolment: a new pending secret on `editor`, which
+ * the caller saves. Returns { secret, otpauthUri } for the app.
+ */
+export function startEnrollment(editor) {
+  const secret = generateTotpSecret();
+  editor.set("twoFactor.pendingSecret", encryptSecret(secret));
+  const uri = otpauthUri(secret, { issuer: SITE_NAME, account: editor.email });
+  return { secret, otpauthUri: uri };
+}
+
+/**
+ * Finish enrolment with a first code from the app. Enables 2FA on `editor`
+ * (caller saves) and returns the recovery codes, or null for a wrong code.
+ * `editor` needs twoFactor.pendingSecret selected.
+ */
+export function confirmEnrollment(editor, code) {
+  const pending = editor.twoFactor?.pendingSecret;
+  if (!pending) return null;
+
+  const step = verifyTotp(decryptSecret(pending), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  editor.set("twoFactor", {
+    enabled: true,
+    enabledAt: new Date(),
+    secret: pending,
+    recoveryCodes: hashes,
+    lastUsedStep: step,
+  });
+  return codes;
+}
+
+/** Replace the recovery codes of `editor` (caller saves), returns them */
+export function regenerateRecoveryCodes(editor) {
+  const { codes, hashes } = generateRecoveryCodes();
+  editor.set("twoFactor.recoveryCodes", hashes);
+  return codes;
+}
+
+/**
+ * Check a second factor: an authenticator code (each accepted once) or an
+ * unused recovery code, which is then used up. Updates `editor` (caller
+ * saves). Returns "totp" | "recovery", or null.
+ * `editor` needs twoFactor.secret / recoveryCodes / lastUsedStep selected.
+ */
+export function useSecondFactor(editor, code) {
+  const twoFactor = editor.twoFactor;
+  if (!twoFactor?.enabled || !twoFactor.secret) return null;
+
+  const step = verifyTotp(decryptSecret(twoFactor.secret), code);
+  if (step !== null) {
+    // a code seen before (replayed, or shoulder-surfed) doesn't count
+    if (step <= (twoFactor.lastUsedStep ?? -1)) return null;
+    twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(code));
+  if (!twoFactor.recoveryCodes.includes(hash)) return null;
+  twoFactor.recoveryCodes.pull(hash);
+  return "recovery";
+}
+
+/** Turn 2FA off for `editor` (caller saves) */
+export function disableTwoFactor(editor) {
+  editor.set("twoFactor", { enabled: false });
+}
+
+let requiredRoles = null; // { roles, expiresAt }
+
+/** Roles that must use 2FA */
+export async function twoFactorRequiredRoles() {
+  if (!requiredRoles || requiredRoles.expiresAt <= Date.now()) {
+    requiredRoles = {
+      roles: await Setting.getValue(REQUIRED_ROLES_KEY, []),
+      expiresAt: Date.now() + REQUIRED_ROLES_CACHE_MS,
+    };
+  }
+  return requiredRoles.roles;
+}
+
+export async function setTwoFactorRequiredRoles(roles, updatedBy) {
+  const list = [...new Set(roles)];
+  await Setting.setValue(REQUIRED_ROLES_KEY, list, updatedBy);
+  requiredRoles = null;
+  return list;
+}
+
+/** Does `user` ({ role, twoFactor }) have to enrol before anything else? */
+export async function twoFactorSetupRequired(user) {
+  if (user.twoFactor?.enabled) return false;
+  return (await twoFactorRequiredRoles()).includes(user.role);
+}
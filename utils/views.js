@@ -0,0 +1,271 @@
+// backend/utils/views.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Article from "../models/Article.js";
+import ArticleViewBucket from "../models/ArticleViewBucket.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_FLUSH_INTERVAL_MS = 10 * 1000;
+// the same reader reloading a story within this window counts once
+const DEDUP_WINDOW_MS = 30 * 60 * 1000;
+const MAX_SEEN = 100000;
+
+const RETENTION_MS = { hour: 14 * DAY_MS, day: 400 * DAY_MS };
+
+// crawlers, link previews and scripts; an empty user agent counts too
+const BOT_PATTERN = new RegExp(
+  [
+    "bot",
+    "crawl",
+    "spider",
+    "slurp",
+    "archiver",
+    "preview",
+    "facebookexternalhit",
+    "embedly",
+    "whatsapp",
+    "headless",
+    "lighthouse",
+    "curl",
+    "wget",
+    "python",
+    "java/",
+    "go-http",
+    "okhttp",
+    "axios",
+    "node-fetch",
+  ].join("|"),
+  "i"
+);
+
+/*
+ * Views are counted in memory and written in batches: one $inc per article
+ * and bucket on every flush, never a write per request. Counts still in
+ * memory when the process dies are lost, which is fine for statistics.
+ */
+let pending = new Map(); // articleId → views since the last flush
+const seen = new Map(); // reader+article hash → time it stops counting as dup
+
+let timer = null;
+let flushing = false;
+
+export function isBot(userAgent) {
+  return !userAgent || BOT_PATTERN.test(userAgent);
+}
+
+// start of the UTC hour / day `date` falls in
+export function bucketStart(unit, date = new Date()) {
+  const ms = unit === "hour" ? HOUR_MS : DAY_MS;
+  return new Date(Math.floor(date.getTime() / ms) * ms);
+}
+
+function alreadySeen(key, now) {
+  const until = seen.get(key);
+  if (until && until > now) return true;
+
+  if (seen.size >= MAX_SEEN) {
+    for (const [k, expiry] of seen) {
+      if (expiry <= now) seen.delete(k);
+    }
+    // still full: forget the oldest entries (Map keeps insertion order)
+    for (const k of seen.keys()) {
+      if (seen.size < MAX_SEEN * 0.9) break;
+      seen.delete(k);
+    }
+  }
+
+  seen.delete(key);
+  seen.set(key, now + DEDUP_WINDOW_MS);
+  return false;
+}
+
+/**
+ * Count a public view of an article. Cheap and synchronous; bots and
+ * repeat views by the same reader (IP + user agent) are skipped.
+ * Returns true when the view was counted.
+ */
+export function recordView(req, articleId) {
+  const userAgent = req.get("user-agent") || "";
+  if (isBot(userAgent)) return false;
+
+  const key = crypto
+    .createHash("sha1")
+    .update(`${req.ip}|${userAgent}|${articleId}`)
+    .digest("base64");
+  if (alreadySeen(key, Date.now())) return false;
+
+  const id = String(articleId);
+  pending.set(id, (pending.get(id) || 0) + 1);
+  return true;
+}
+
+/**
+ * Write the counted views into their hour and day buckets.
+ */
+export async function flushViews(now = new Date()) {
+  if (!pending.size) return 0;
+
+  const batch = pending;
+  pending = new Map();
+
+  const ops = [];
+  for (const [article, views] of batch) {
+    for (const unit of ["hour", "day"]) {
+      const start = bucketStart(unit, now);
+      ops.push({
+        updateOne: {
+          filter: { article, unit, start },
+          update: {
+            $inc: { views },
+            $setOnInsert: {
+              expiresAt: new Date(start.getTime() + RETENTION_MS[unit]),
+            },
+          },
+          upsert: true,
+        },
+      });
+    }
+  }
+
+  try {
+    await ArticleViewBucket.bulkWrite(ops, { ordered: false });
+  } catch (err) {
+    // keep the counts for the next attempt
+    for (const [article, views] of batch) {
+      pending.set(article, (pending.get(article) || 0) + views);
+    }
+    throw err;
+  }
+  return batch.size;
+}
+
+async function tick() {
+  if (flushing) return;
+  flushing = true;
+  try {
+    await flushViews();
+  } catch (err) {
+    console.error("View flush error:", err);
+  } finally {
+    flushing = false;
+  }
+}
+
+/**
+ * Start writing views periodically (safe to call more than once).
+ * Interval comes from VIEW_FLUSH_INTERVAL_MS, default 10 seconds.
+ */
+export function startViewFlusher(
+  intervalMs = Number(process.env.VIEW_FLUSH_INTERVAL_MS) ||
+    DEFAULT_FLUSH_INTERVAL_MS
+) {
+  if (timer) return;
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+}
+
+export function stopViewFlusher() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Most viewed live articles since `since`, counted from `unit` buckets.
+ * `category` narrows to one category slug.
+ * Returns [{ article: ObjectId, views }], most viewed first.
+ */
+export async function topArticles({ unit, since, category, limit = 10 }) {
+  const articleFilter = Article.publicFilter();
+  if (category) articleFilter.categories = category;
+
+  return ArticleViewBucket.aggregate([
+    { $match: { unit, start: { $gte: since } } },
+    { $group: { _id: "$article", views: { $sum: "$views" } } },
+    {
+      $lookup: {
+        from: Article.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        pipeline: [{ $match: articleFilter }, { $project: { _id: 1 } }],
+        as: "live",
+      },
+    },
+    { $match: { "live.0": { $exists: true } } },
+    { $sort: { views: -1, _id: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, article: "$_id", views: 1 } },
+  ]);
+}
+
+/**
+ * Views of one article: all-time total (as far as day buckets go back),
+ * one entry per day for the last `days` days and per hour for the last 24h.
+ */
+export async function articleViewStats(articleId, { days = 30 } = {}) {
+  const article = new mongoose.Types.ObjectId(String(articleId));
+  const now = new Date();
+  const firstDay = new Date(
+    bucketStart("day", now).getTime() - (days - 1) * DAY_MS
+  );
+  const firstHour = new Date(
+    bucketStart("hour", now).getTime() - 23 * HOUR_MS
+  );
+
+  const [totals, dayRows, hourRows] = await Promise.all([
+    ArticleViewBucket.aggregate([
+      { $match: { article, unit: "day" } },
+      { $group: { _id: null, views: { $sum: "$views" } } },
+    ]),
+    ArticleViewBucket.find({
+      article,
+      unit: "day",
+      start: { $gte: firstDay },
+    })
+      .select("start views")
+      .lean(),
+    ArticleViewBucket.find({
+      article,
+      unit: "hour",
+      start: { $gte: firstHour },
+    })
+      .select("start views")
+      .lean(),
+  ]);
+
+  // fill the gaps with zeros so charts get a continuous series
+  function series(rows, first, count, stepMs) {
+    const byStart = new Map(
+      rows.map((row) => [row.start.getTime(), row.views])
+    );
+    return Array.from({ length: count }, (_, i) => {
+      const start = new Date(first.getTime() + i * stepMs);
+      return { start, views: byStart.get(start.getTime()) || 0 };
+    });
+  }
+
+  return {
+    total: totals[0]?.views || 0,
+    daily: series(dayRows, firstDay, days, DAY_MS),
+    hourly: series(hourRows, firstHour, 24, HOUR_MS),
+  };
+}
+
+/**
+ * Sum of views since `since` over the given articles (day buckets).
+ */
+export async function totalViews(articleIds, since) {
+  const [row] = await ArticleViewBucket.aggregate([
+    {
+      $match: {
+        article: { $in: articleIds },
+        unit: "day",
+        start: { $gte: bucketStart("day", since) },
+      },
+    },
+    { $group: { _id: null, views: { $sum: "$views" } } },
+  ]);
+  return row?.views || 0;
+}
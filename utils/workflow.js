@@ -0,0 +1,66 @@
+// backend/utils/workflow.js
+import { CAPABILITIES, can } from "../config/permissions.js";
+
+const { ARTICLE_CREATE, ARTICLE_SUBMIT, ARTICLE_REVIEW, ARTICLE_PUBLISH } =
+  CAPABILITIES;
+
+/**
+ * Editorial state machine.
+ * TRANSITIONS[from][to] = capability needed for the move.
+ *
+ *   draft → in_review → approved / changes_requested
+ *   approved → published | scheduled → published → archived
+ */
+export const TRANSITIONS = {
+  // not created yet
+  new: { draft: ARTICLE_CREATE, in_review: ARTICLE_SUBMIT },
+  draft: { in_review: ARTICLE_SUBMIT },
+  in_review: {
+    draft: ARTICLE_SUBMIT, // withdraw
+    approved: ARTICLE_REVIEW,
+    changes_requested: ARTICLE_REVIEW,
+  },
+  changes_requested: { draft: ARTICLE_SUBMIT, in_review: ARTICLE_SUBMIT },
+  approved: {
+    published: ARTICLE_PUBLISH,
+    scheduled: ARTICLE_PUBLISH,
+    changes_requested: ARTICLE_REVIEW,
+    draft: ARTICLE_REVIEW,
+  },
+  scheduled: {
+    approved: ARTICLE_PUBLISH,
+    published: ARTICLE_PUBLISH,
+    draft: ARTICLE_PUBLISH,
+  },
+  published: { archived: ARTICLE_PUBLISH, draft: ARTICLE_PUBLISH },
+  archived: { published: ARTICLE_PUBLISH, draft: ARTICLE_PUBLISH },
+};
+
+// statuses in which the author may still change the content
+export const EDITABLE_STATUSES = ["draft", "in_review", "changes_requested"];
+
+// approved / scheduled / published content only changes through review,
+// except for people who could publish it anyway
+export function isLockedFor(user, article) {
+  return (
+    !EDITABLE_STATUSES.includes(article.status) &&
+    !can(user, ARTICLE_PUBLISH, article)
+  );
+}
+
+/**
+ * Check a status move for `user` ({ role, categories }) on `article`.
+ * Returns an error message, or null when allowed. Same status is a no-op.
+ */
+export function transitionError(from, to, user, article) {
+  if (from === to) return null;
+
+  const needed = TRANSITIONS[from || "new"]?.[to];
+  if (!needed) {
+    return `Cannot move an article from ${from || "new"} to ${to}`;
+  }
+  if (!can(user, needed, article)) {
+    return `Not allowed to move an article from ${from || "new"} to ${to}`;
+  }
+  return null;
+}